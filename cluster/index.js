@@ -0,0 +1,70 @@
+const { v4: uuidv4 } = require('uuid');
+const { LocalBus } = require('./local-bus');
+const { RedisBus } = require('./redis-bus');
+const { ReplicatedMap } = require('./replicated-map');
+
+/**
+ * Создает окружение узла: шину между узлами, хранилище сессий и адаптер Socket.IO.
+ * Без redisUrl приложение работает одним процессом: шина локальная,
+ * сессии в MemoryStore, Socket.IO без адаптера.
+ * @param {Object} options - Настройки
+ * @param {string} [options.redisUrl] - Адрес Redis, например redis://localhost:6379
+ * @param {string} [options.prefix] - Префикс ключей и каналов в Redis
+ * @returns {Object} { nodeId, redis, bus, sessionStore, connect(), attachSocketAdapter(io), close() }
+ */
+function createCluster({ redisUrl, prefix = 'syncview:' } = {}) {
+  const nodeId = uuidv4();
+
+  if (!redisUrl) {
+    return {
+      nodeId,
+      redis: null,
+      bus: new LocalBus(),
+      sessionStore: undefined,
+      connect: async () => {},
+      attachSocketAdapter: () => {},
+      close: async () => {}
+    };
+  }
+
+  // Зависимости Redis нужны только в кластерном режиме
+  const { createClient } = require('redis');
+  const RedisStore = require('connect-redis').default;
+  const { createAdapter } = require('@socket.io/redis-adapter');
+
+  const redis = createClient({ url: redisUrl });
+  const adapterPublisher = redis.duplicate();
+  const adapterSubscriber = redis.duplicate();
+  const bus = new RedisBus(redis.duplicate(), redis.duplicate(), prefix);
+
+  const clients = [redis, adapterPublisher, adapterSubscriber, bus.publisher, bus.subscriber];
+  clients.forEach(client => {
+    client.on('error', error => console.error('❌ Ошибка Redis:', error.message));
+  });
+
+  return {
+    nodeId,
+    redis,
+    bus,
+    sessionStore: new RedisStore({ client: redis, prefix: `${prefix}sess:` }),
+    connect: async () => {
+      await Promise.all([redis.connect(), adapterPublisher.connect(), adapterSubscriber.connect(), bus.connect()]);
+      console.log(`🔗 Узел ${nodeId} подключен к Redis`);
+    },
+    // Рассылки io.to(...).emit() доходят до клиентов на всех узлах
+    attachSocketAdapter: (io) => {
+      io.adapter(createAdapter(adapterPublisher, adapterSubscriber, { key: `${prefix}socket.io` }));
+    },
+    close: async () => {
+      await bus.close();
+      await Promise.all([redis, adapterPublisher, adapterSubscriber].map(client => client.quit().catch(() => {})));
+    }
+  };
+}
+
+module.exports = {
+  createCluster,
+  LocalBus,
+  RedisBus,
+  ReplicatedMap
+};
@@ -0,0 +1,34 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Шина сообщений внутри одного процесса.
+ * Используется, когда Redis не настроен: сообщения узла доходят только до него самого.
+ */
+class LocalBus {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+  }
+
+  async connect() {}
+
+  /**
+   * Доставляет сообщение асинхронно и копией, как это делает Redis
+   * @param {string} channel - Канал
+   * @param {Object} message - Сообщение (должно сериализоваться в JSON)
+   */
+  async publish(channel, message) {
+    const payload = JSON.parse(JSON.stringify(message));
+    setImmediate(() => this.emitter.emit(channel, payload));
+  }
+
+  async subscribe(channel, handler) {
+    this.emitter.on(channel, handler);
+  }
+
+  async close() {
+    this.emitter.removeAllListeners();
+  }
+}
+
+module.exports = { LocalBus };
@@ -0,0 +1,47 @@
+/**
+ * Шина сообщений между узлами через Redis Pub/Sub.
+ * Для публикации и подписки нужны разные соединения: подписанный клиент
+ * не может выполнять другие команды.
+ */
+class RedisBus {
+  /**
+   * @param {Object} publisher - Клиент redis для публикации
+   * @param {Object} subscriber - Отдельный клиент redis для подписки
+   * @param {string} prefix - Префикс имён каналов
+   */
+  constructor(publisher, subscriber, prefix = 'syncview:') {
+    this.publisher = publisher;
+    this.subscriber = subscriber;
+    this.prefix = prefix;
+  }
+
+  async connect() {
+    await Promise.all([this.publisher.connect(), this.subscriber.connect()]);
+  }
+
+  async publish(channel, message) {
+    await this.publisher.publish(this.prefix + channel, JSON.stringify(message));
+  }
+
+  async subscribe(channel, handler) {
+    await this.subscriber.subscribe(this.prefix + channel, (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw);
+      } catch (error) {
+        console.error(`❌ Некорректное сообщение в канале ${channel}:`, error.message);
+        return;
+      }
+      handler(message);
+    });
+  }
+
+  async close() {
+    await Promise.all([
+      this.publisher.quit().catch(() => {}),
+      this.subscriber.quit().catch(() => {})
+    ]);
+  }
+}
+
+module.exports = { RedisBus };
@@ -0,0 +1,101 @@
+/**
+ * Map, содержимое которого видно на всех узлах кластера.
+ * Каждый узел владеет своими записями (например, своими сокетами) и рассылает
+ * их изменения через шину; чужие записи хранятся как локальная копия.
+ * Новый узел запрашивает у остальных их записи, а остановленный узел
+ * просит удалить свои.
+ */
+class ReplicatedMap {
+  /**
+   * @param {string} name - Имя канала шины
+   * @param {Object} bus - Шина сообщений (LocalBus или RedisBus)
+   * @param {string} nodeId - ID текущего узла
+   */
+  constructor(name, bus, nodeId) {
+    this.name = name;
+    this.bus = bus;
+    this.nodeId = nodeId;
+    this.entries = new Map();
+  }
+
+  async init() {
+    await this.bus.subscribe(this.name, (message) => this.handleMessage(message));
+    await this.publish({ type: 'sync-request' });
+  }
+
+  publish(message) {
+    return this.bus.publish(this.name, { ...message, nodeId: this.nodeId })
+      .catch(error => console.error(`❌ Ошибка рассылки ${this.name}:`, error));
+  }
+
+  handleMessage(message) {
+    if (message.nodeId === this.nodeId) return;
+
+    switch (message.type) {
+      case 'set':
+        this.entries.set(message.key, { value: message.value, nodeId: message.nodeId });
+        break;
+      case 'delete':
+        this.entries.delete(message.key);
+        break;
+      case 'sync-request':
+        // Новому узлу отправляем свои записи
+        this.entries.forEach((entry, key) => {
+          if (entry.nodeId === this.nodeId) {
+            this.publish({ type: 'set', key, value: entry.value });
+          }
+        });
+        break;
+      case 'node-down':
+        this.entries.forEach((entry, key) => {
+          if (entry.nodeId === message.nodeId) this.entries.delete(key);
+        });
+        break;
+    }
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    return entry ? entry.value : undefined;
+  }
+
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  set(key, value) {
+    this.entries.set(key, { value, nodeId: this.nodeId });
+    this.publish({ type: 'set', key, value });
+    return this;
+  }
+
+  delete(key) {
+    const deleted = this.entries.delete(key);
+    if (deleted) this.publish({ type: 'delete', key });
+    return deleted;
+  }
+
+  forEach(callback) {
+    this.entries.forEach((entry, key) => callback(entry.value, key));
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Записи, которыми владеет текущий узел
+   * @returns {Array<[string, Object]>} Пары [ключ, значение]
+   */
+  localEntries() {
+    return Array.from(this.entries)
+      .filter(([, entry]) => entry.nodeId === this.nodeId)
+      .map(([key, entry]) => [key, entry.value]);
+  }
+
+  async close() {
+    await this.publish({ type: 'node-down' });
+  }
+}
+
+module.exports = { ReplicatedMap };
@@ -0,0 +1,121 @@
+/**
+ * Выгрузка и удаление данных аккаунта.
+ * При удалении сообщения пользователя в чужих комнатах остаются, чтобы не рвать переписку,
+ * но теряют связь с ним: автор заменяется на DELETED_USER.
+ */
+const DELETED_USER = {
+  id: 'deleted',
+  username: 'Удалённый пользователь',
+  avatar: '/assets/default-avatar.png'
+};
+
+/**
+ * Данные пользователя для выгрузки
+ * @param {Object} user - Пользователь
+ * @param {Object[]} rooms - Все комнаты
+ * @param {Object[]} history - Записи истории просмотров
+ * @returns {Object} { exportedAt, profile, hostedRooms, messages, history }
+ */
+function buildAccountExport(user, rooms, history) {
+  const { password, ...profile } = user;
+  const hostedRooms = rooms
+    .filter(room => room.hostId === user.id)
+    .map(room => ({
+      id: room.id,
+      name: room.name,
+      description: room.description,
+      category: room.category,
+      tags: room.tags,
+      isPrivate: room.isPrivate,
+      archived: !!room.archived,
+      createdAt: room.createdAt
+    }));
+
+  const messages = [];
+  rooms.forEach(room => {
+    room.messages.forEach(message => {
+      if (message.userId !== user.id || message.deleted) return;
+      messages.push({
+        roomId: room.id,
+        roomName: room.name,
+        id: message.id,
+        message: message.message,
+        timestamp: message.timestamp,
+        editedAt: message.editedAt,
+        videoTimestamp: message.videoTimestamp
+      });
+    });
+  });
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile,
+    hostedRooms,
+    messages,
+    history
+  };
+}
+
+function anonymizeAuthor(item, userId) {
+  if (item && item.userId === userId) {
+    item.userId = DELETED_USER.id;
+    item.username = DELETED_USER.username;
+    if ('avatar' in item) item.avatar = DELETED_USER.avatar;
+  }
+}
+
+/**
+ * Убирает пользователя из комнаты, где он не хост: роли, баны, ответы на приглашения,
+ * реакции и голоса удаляются, авторство сообщений и записей журнала обезличивается
+ * @param {Object} room - Комната
+ * @param {string} userId - ID удаляемого пользователя
+ */
+function anonymizeUserInRoom(room, userId) {
+  room.participants = room.participants.filter(p => p.id !== userId);
+  if (room.roles) delete room.roles[userId];
+  if (room.moderation) {
+    if (room.moderation.mutes) delete room.moderation.mutes[userId];
+    if (room.moderation.bans) delete room.moderation.bans[userId];
+  }
+  if (room.schedule && room.schedule.rsvps) delete room.schedule.rsvps[userId];
+  Object.values(room.invites || {}).forEach(invite => {
+    invite.usedBy = invite.usedBy.filter(id => id !== userId);
+  });
+
+  room.messages.forEach(message => {
+    anonymizeAuthor(message, userId);
+    anonymizeAuthor(message.replyTo, userId);
+    (message.mentions || []).forEach(mention => {
+      if (mention.id === userId) {
+        mention.id = DELETED_USER.id;
+        mention.username = DELETED_USER.username;
+      }
+    });
+    Object.keys(message.reactions || {}).forEach(emoji => {
+      message.reactions[emoji] = message.reactions[emoji].filter(id => id !== userId);
+      if (message.reactions[emoji].length === 0) delete message.reactions[emoji];
+    });
+  });
+
+  (room.queue || []).forEach(item => {
+    anonymizeAuthor(item.addedBy, userId);
+    item.votes = item.votes.filter(id => id !== userId);
+  });
+
+  (room.auditLog || []).forEach(entry => {
+    if (entry.actorId === userId) {
+      entry.actorId = DELETED_USER.id;
+      entry.actorName = DELETED_USER.username;
+    }
+    if (entry.targetId === userId) {
+      entry.targetId = DELETED_USER.id;
+      entry.targetName = DELETED_USER.username;
+    }
+  });
+}
+
+module.exports = {
+  DELETED_USER,
+  buildAccountExport,
+  anonymizeUserInRoom
+};
@@ -0,0 +1,135 @@
+/**
+ * Каталог комнат: описание, категория, теги, превью текущего видео,
+ * поиск и сортировка списка на дашборде.
+ */
+const ROOM_CATEGORIES = ['movies', 'series', 'anime', 'music', 'sports', 'gaming', 'education', 'other'];
+const DEFAULT_CATEGORY = 'other';
+
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+const ROOM_SORTS = ['recent', 'participants', 'created'];
+
+const YOUTUBE_ID_PATTERNS = [
+  /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/|youtube\.com\/shorts\/)([\w-]{6,})/,
+  /youtube\.com\/watch\?.*v=([\w-]{6,})/
+];
+
+/**
+ * Обрезает описание комнаты до допустимой длины
+ * @param {*} value - Описание от клиента
+ * @returns {string} Описание
+ */
+function normalizeDescription(value) {
+  if (typeof value !== 'string') return '';
+  return value.trim().slice(0, MAX_DESCRIPTION_LENGTH);
+}
+
+/**
+ * Оставляет известную категорию
+ * @param {*} value - Категория от клиента
+ * @returns {string} Категория из ROOM_CATEGORIES
+ */
+function normalizeCategory(value) {
+  return ROOM_CATEGORIES.includes(value) ? value : DEFAULT_CATEGORY;
+}
+
+/**
+ * Приводит теги к нижнему регистру без «#», повторов и пустых строк
+ * @param {*} tags - Массив тегов от клиента
+ * @returns {string[]} Теги
+ */
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  const result = [];
+  tags.forEach(tag => {
+    if (typeof tag !== 'string') return;
+    const normalized = tag.trim().replace(/^#+/, '').toLowerCase().slice(0, MAX_TAG_LENGTH);
+    if (normalized && !result.includes(normalized)) result.push(normalized);
+  });
+  return result.slice(0, MAX_TAGS);
+}
+
+/**
+ * Превью видео по ссылке. Картинку без обращения к API можно получить только у YouTube,
+ * для остальных источников дашборд показывает заглушку.
+ * @param {string} url - Ссылка на видео
+ * @returns {string|null} Адрес картинки
+ */
+function getVideoThumbnail(url) {
+  if (!url) return null;
+  for (const pattern of YOUTUBE_ID_PATTERNS) {
+    const match = url.match(pattern);
+    if (match) return `https://img.youtube.com/vi/${match[1]}/hqdefault.jpg`;
+  }
+  return null;
+}
+
+/**
+ * Что сейчас смотрят в комнате
+ * @param {Object} room - Комната
+ * @returns {{ url: string, title: string|null, isPlaying: boolean }|null}
+ */
+function getNowPlaying(room) {
+  if (!room.videoUrl) return null;
+  return { url: room.videoUrl, title: room.videoTitle || null, isPlaying: !!room.isPlaying };
+}
+
+/**
+ * Подходит ли комната под поиск: текст ищется в названии, описании, имени хоста и тегах
+ * @param {Object} room - Комната
+ * @param {Object} query - { q, category, tag }
+ * @returns {boolean}
+ */
+function matchesRoomQuery(room, { q, category, tag }) {
+  if (category && (room.category || DEFAULT_CATEGORY) !== category) return false;
+  const tags = room.tags || [];
+  if (tag && !tags.includes(tag.toLowerCase())) return false;
+  if (q) {
+    const text = q.trim().toLowerCase();
+    const haystack = [room.name, room.description || '', room.host, room.videoTitle || '', ...tags]
+      .join('\n')
+      .toLowerCase();
+    if (!haystack.includes(text)) return false;
+  }
+  return true;
+}
+
+function getActivityTime(room) {
+  return Date.parse(room.lastActivityAt) || Date.parse(room.createdAt) || 0;
+}
+
+/**
+ * Сравнение комнат для сортировки списка
+ * @param {string} sort - recent (последняя активность), participants или created
+ * @returns {Function} Компаратор (a, b)
+ */
+function getRoomComparator(sort) {
+  const byActivity = (a, b) => getActivityTime(b) - getActivityTime(a);
+  switch (sort) {
+    case 'participants':
+      return (a, b) => b.participants.length - a.participants.length || byActivity(a, b);
+    case 'created':
+      return (a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt);
+    default:
+      // Комнаты, где сейчас кто-то есть, показываем первыми
+      return (a, b) => (b.participants.length > 0) - (a.participants.length > 0) || byActivity(a, b);
+  }
+}
+
+module.exports = {
+  ROOM_CATEGORIES,
+  DEFAULT_CATEGORY,
+  MAX_DESCRIPTION_LENGTH,
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  ROOM_SORTS,
+  normalizeDescription,
+  normalizeCategory,
+  normalizeTags,
+  getVideoThumbnail,
+  getNowPlaying,
+  matchesRoomQuery,
+  getRoomComparator
+};
@@ -0,0 +1,87 @@
+/**
+ * История просмотров пользователя.
+ * Коллекция history: { userId: { userId, entries: [...] } }, запись — одно видео в одной комнате:
+ * { id, roomId, roomName, videoUrl, videoTitle, watchedSeconds, position, startedAt, updatedAt }.
+ * Повторный просмотр того же видео в той же комнате обновляет запись, а не добавляет новую.
+ */
+const { v4: uuidv4 } = require('uuid');
+
+const HISTORY_LIMIT = 100;
+// Видео, досмотренное меньше чем до этой позиции, продолжать незачем — проще начать заново
+const MIN_RESUME_POSITION = 30;
+const CONTINUE_WATCHING_LIMIT = 6;
+
+function byLastWatched(a, b) {
+  return Date.parse(b.updatedAt) - Date.parse(a.updatedAt);
+}
+
+/**
+ * Учитывает просмотр видео комнаты. Запись появляется, только когда видео
+ * действительно смотрели (seconds > 0); без этого лишь обновляется позиция.
+ * @param {Object|undefined} record - Запись пользователя из коллекции history
+ * @param {string} userId - ID пользователя
+ * @param {Object} room - Комната (videoUrl, videoTitle, name)
+ * @param {Object} progress - { position, seconds }: позиция в видео и сколько секунд добавить к просмотру
+ * @returns {Object|null} Обновлённая запись пользователя или null, если менять нечего
+ */
+function recordWatch(record, userId, room, { position, seconds = 0 }) {
+  const history = record || { userId, entries: [] };
+  const now = new Date().toISOString();
+  let entry = history.entries.find(e => e.roomId === room.id && e.videoUrl === room.videoUrl);
+
+  if (!entry) {
+    if (seconds <= 0) return null;
+    entry = {
+      id: uuidv4(),
+      roomId: room.id,
+      roomName: room.name,
+      videoUrl: room.videoUrl,
+      videoTitle: room.videoTitle || null,
+      watchedSeconds: 0,
+      position: 0,
+      startedAt: now,
+      updatedAt: now
+    };
+    history.entries.push(entry);
+  }
+  entry.roomName = room.name;
+  entry.videoTitle = room.videoTitle || entry.videoTitle;
+  entry.watchedSeconds += seconds;
+  entry.position = Math.max(0, Math.floor(position));
+  entry.updatedAt = now;
+
+  if (history.entries.length > HISTORY_LIMIT) {
+    history.entries = history.entries.sort(byLastWatched).slice(0, HISTORY_LIMIT);
+  }
+  return history;
+}
+
+/**
+ * Записи истории от последних к ранним
+ * @param {Object|undefined} record - Запись пользователя из коллекции history
+ * @returns {Object[]} Записи
+ */
+function getHistoryEntries(record) {
+  return record ? [...record.entries].sort(byLastWatched) : [];
+}
+
+/**
+ * Видео, которые можно продолжить: по одному на ссылку, с последней сохранённой позиции
+ * @param {Object[]} entries - Записи от последних к ранним
+ * @returns {Object[]} Не больше CONTINUE_WATCHING_LIMIT записей
+ */
+function getContinueWatching(entries) {
+  const seen = new Set();
+  return entries.filter(entry => {
+    if (seen.has(entry.videoUrl)) return false;
+    seen.add(entry.videoUrl);
+    return entry.position >= MIN_RESUME_POSITION;
+  }).slice(0, CONTINUE_WATCHING_LIMIT);
+}
+
+module.exports = {
+  HISTORY_LIMIT,
+  recordWatch,
+  getHistoryEntries,
+  getContinueWatching
+};
@@ -0,0 +1,70 @@
+/**
+ * Приглашения в комнату.
+ * room.invites: { inviteId: { id, createdBy, createdAt, expiresAt, maxUses, role, usedBy: [userId] } }.
+ * Сама ссылка — подписанный токен с ID приглашения (см. createInviteToken в lib/tokens.js);
+ * лимит использований и отзыв проверяются по записи в комнате.
+ */
+const { ROLES } = require('./permissions');
+
+// Роль хоста приглашением не передаётся
+const INVITE_ROLES = ROLES.filter(role => role !== 'host');
+
+const MAX_INVITES_PER_ROOM = 50;
+const MAX_INVITE_TTL_HOURS = 30 * 24;
+const MAX_INVITE_USES = 1000;
+
+/**
+ * Состояние приглашения
+ * @param {Object} invite - Запись из room.invites
+ * @param {number} now - Текущее время (мс)
+ * @returns {string} active, expired или exhausted
+ */
+function getInviteStatus(invite, now = Date.now()) {
+  if (invite.expiresAt && Date.parse(invite.expiresAt) <= now) return 'expired';
+  if (invite.maxUses && invite.usedBy.length >= invite.maxUses) return 'exhausted';
+  return 'active';
+}
+
+/**
+ * Проверяет, можно ли войти по приглашению. Повторный переход по ссылке тем же
+ * пользователем не тратит использование и возможен, даже если лимит уже исчерпан.
+ * @param {Object|undefined} invite - Запись из room.invites
+ * @param {string} userId - ID пользователя
+ * @returns {string|null} Код ошибки (INVITE_INVALID, INVITE_EXPIRED, INVITE_EXHAUSTED) или null
+ */
+function checkInvite(invite, userId) {
+  if (!invite) return 'INVITE_INVALID';
+  const status = getInviteStatus(invite);
+  if (status === 'expired') return 'INVITE_EXPIRED';
+  if (status === 'exhausted' && !invite.usedBy.includes(userId)) return 'INVITE_EXHAUSTED';
+  return null;
+}
+
+/**
+ * Приглашение для списка у хоста
+ * @param {Object} invite - Запись из room.invites
+ * @param {string} url - Ссылка-приглашение
+ * @returns {Object} { id, url, role, maxUses, uses, expiresAt, createdAt, status }
+ */
+function toPublicInvite(invite, url) {
+  return {
+    id: invite.id,
+    url,
+    role: invite.role,
+    maxUses: invite.maxUses,
+    uses: invite.usedBy.length,
+    expiresAt: invite.expiresAt,
+    createdAt: invite.createdAt,
+    status: getInviteStatus(invite)
+  };
+}
+
+module.exports = {
+  INVITE_ROLES,
+  MAX_INVITES_PER_ROOM,
+  MAX_INVITE_TTL_HOURS,
+  MAX_INVITE_USES,
+  getInviteStatus,
+  checkInvite,
+  toPublicInvite
+};
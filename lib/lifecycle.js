@@ -0,0 +1,56 @@
+/**
+ * Жизненный цикл комнаты.
+ * Пустая комната удаляется после периода простоя; архивная не удаляется,
+ * но её история доступна только для чтения. Постоянные комнаты (room.permanent,
+ * например демо-комната из seed) за простой не удаляются: seed создаёт их только
+ * в пустом хранилище, и удалённую комнату никто бы не пересоздал.
+ */
+const DEFAULT_IDLE_TTL_HOURS = 30 * 24;
+
+const HOUR = 60 * 60 * 1000;
+
+// События, которые сокет может отправлять в архивную комнату: войти, выйти и синхронизировать часы
+const ARCHIVED_ROOM_EVENTS = ['join-room', 'leave-room', 'time-sync'];
+
+/**
+ * Период простоя из настройки в часах
+ * @param {string|undefined} value - Значение ROOM_IDLE_TTL_HOURS
+ * @returns {number} Период в мс; 0 — комнаты не удаляются
+ */
+function parseIdleTtl(value) {
+  if (value === undefined || value === '') return DEFAULT_IDLE_TTL_HOURS * HOUR;
+  const hours = Number(value);
+  if (!Number.isFinite(hours) || hours <= 0) return 0;
+  return hours * HOUR;
+}
+
+/**
+ * Когда в комнате последний раз кто-то был
+ * @param {Object} room - Комната
+ * @returns {number} Время (мс)
+ */
+function getLastActivity(room) {
+  return Date.parse(room.lastActivityAt) || room.lastUpdate || Date.parse(room.createdAt) || 0;
+}
+
+/**
+ * Проверяет, пора ли удалить комнату за простой
+ * @param {Object} room - Комната
+ * @param {number} idleTtl - Период простоя (мс), 0 — не удалять
+ * @param {number} now - Текущее время (мс)
+ * @returns {boolean} true если комната пуста дольше периода простоя
+ */
+function isRoomExpired(room, idleTtl, now = Date.now()) {
+  if (!idleTtl || room.archived || room.permanent || room.participants.length > 0) return false;
+  // Комнату с предстоящим сеансом не удаляем, даже если в ней давно никого нет
+  if (room.schedule && !room.schedule.startedAt) return false;
+  return now - getLastActivity(room) >= idleTtl;
+}
+
+module.exports = {
+  DEFAULT_IDLE_TTL_HOURS,
+  ARCHIVED_ROOM_EVENTS,
+  parseIdleTtl,
+  getLastActivity,
+  isRoomExpired
+};
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Отправка писем. Транспорт выбирается настройкой MAIL_TRANSPORT:
+ * console — письмо выводится в лог, file — сохраняется в каталог MAIL_DIR, по файлу .eml на письмо.
+ * Настоящий почтовый сервис подключается передачей в createMailer объекта с методом send(message).
+ */
+
+class ConsoleTransport {
+  async send(message) {
+    console.log(`📧 Письмо для ${message.to}: ${message.subject}\n${message.text}`);
+  }
+}
+
+class FileTransport {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const file = path.join(this.dir, `${Date.now()}-${uuidv4()}.eml`);
+    const content = [
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      `Date: ${new Date(message.date).toUTCString()}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      message.text
+    ].join('\r\n');
+    await fs.promises.writeFile(file, content);
+    console.log(`📧 Письмо для ${message.to} сохранено в ${file}`);
+  }
+}
+
+/**
+ * Создаёт почтовый сервис
+ * @param {Object} options - Настройки
+ * @param {string|Object} [options.transport] - console, file или свой транспорт с методом send(message)
+ * @param {string} [options.dir] - Каталог для транспорта file
+ * @param {string} [options.from] - Адрес отправителя
+ * @returns {{ send: Function }} send({ to, subject, text }) => Promise
+ */
+function createMailer({ transport = 'console', dir = '.data/mail', from = 'WatchParty <no-reply@watchparty.local>' } = {}) {
+  let impl = transport;
+  if (transport === 'file') {
+    impl = new FileTransport(dir);
+  } else if (typeof transport !== 'object') {
+    impl = new ConsoleTransport();
+  }
+
+  return {
+    send: ({ to, subject, text }) => impl.send({ from, to, subject, text, date: new Date().toISOString() })
+  };
+}
+
+module.exports = {
+  ConsoleTransport,
+  FileTransport,
+  createMailer
+};
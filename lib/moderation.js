@@ -0,0 +1,132 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Настройки модерации комнаты по умолчанию. Каждый вызов создаёт новые вложенные
+ * объекты, чтобы комнаты не делили между собой списки заглушений и банов.
+ * mutes: { userId: время окончания (мс) }, bans: { userId: { username, bannedBy, bannedByRole, reason, at } },
+ * slowMode: минимальный интервал между сообщениями (с), bannedWords: запрещённые слова.
+ * @returns {Object} { mutes, bans, slowMode, bannedWords }
+ */
+function createModeration() {
+  return {
+    mutes: {},
+    bans: {},
+    slowMode: 0,
+    bannedWords: []
+  };
+}
+
+const MAX_SLOW_MODE = 300;
+const MAX_MUTE_DURATION = 24 * 60 * 60;
+const MAX_BANNED_WORDS = 200;
+const MAX_BANNED_WORD_LENGTH = 50;
+const MAX_AUDIT_LOG = 500;
+
+/**
+ * Настройки модерации комнаты с учётом значений по умолчанию
+ * @param {Object} room - Комната
+ * @returns {Object} { mutes, bans, slowMode, bannedWords }
+ */
+function getModeration(room) {
+  return { ...createModeration(), ...room.moderation };
+}
+
+/**
+ * Проверяет, заблокирован ли пользователь в комнате
+ * @param {Object} room - Комната
+ * @param {string} userId - ID пользователя
+ * @returns {boolean} true если пользователь забанен
+ */
+function isBanned(room, userId) {
+  return !!getModeration(room).bans[userId];
+}
+
+/**
+ * Время окончания заглушения или null, если пользователь может писать
+ * @param {Object} room - Комната
+ * @param {string} userId - ID пользователя
+ * @param {number} now - Текущее время (мс)
+ * @returns {number|null} Время окончания (мс)
+ */
+function getMutedUntil(room, userId, now = Date.now()) {
+  const until = getModeration(room).mutes[userId];
+  return until && until > now ? until : null;
+}
+
+/**
+ * Оставляет допустимый интервал медленного режима
+ * @param {*} value - Интервал от клиента (с)
+ * @returns {number} Интервал от 0 до MAX_SLOW_MODE
+ */
+function normalizeSlowMode(value) {
+  const seconds = Math.floor(Number(value));
+  if (!Number.isFinite(seconds) || seconds < 0) return 0;
+  return Math.min(seconds, MAX_SLOW_MODE);
+}
+
+/**
+ * Приводит список запрещённых слов к нижнему регистру без повторов и пустых строк
+ * @param {*} words - Массив слов от клиента
+ * @returns {string[]} Список слов
+ */
+function normalizeBannedWords(words) {
+  if (!Array.isArray(words)) return [];
+  const result = [];
+  words.forEach(word => {
+    if (typeof word !== 'string') return;
+    const normalized = word.trim().toLowerCase().slice(0, MAX_BANNED_WORD_LENGTH);
+    if (normalized && !result.includes(normalized)) result.push(normalized);
+  });
+  return result.slice(0, MAX_BANNED_WORDS);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Заменяет запрещённые слова звёздочками.
+ * Совпадением считается только слово целиком, чтобы не портить слова, которые его содержат.
+ * @param {string} text - Текст сообщения
+ * @param {string[]} bannedWords - Запрещённые слова
+ * @returns {string} Текст с замаскированными словами
+ */
+function maskBannedWords(text, bannedWords) {
+  if (!bannedWords || bannedWords.length === 0) return text;
+  const words = bannedWords.map(escapeRegExp).join('|');
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${words})(?![\\p{L}\\p{N}])`, 'giu');
+  return text.replace(pattern, match => '*'.repeat(match.length));
+}
+
+/**
+ * Добавляет запись в журнал модерации комнаты (изменяет комнату на месте)
+ * @param {Object} room - Комната
+ * @param {Object} entry - { action, actorId, actorName, targetId?, targetName?, details? }
+ * @returns {Object} Запись журнала
+ */
+function addAuditEntry(room, entry) {
+  const record = {
+    id: uuidv4(),
+    targetId: null,
+    targetName: null,
+    details: null,
+    ...entry,
+    timestamp: new Date().toISOString()
+  };
+  room.auditLog = [...(room.auditLog || []), record].slice(-MAX_AUDIT_LOG);
+  return record;
+}
+
+module.exports = {
+  createModeration,
+  MAX_SLOW_MODE,
+  MAX_MUTE_DURATION,
+  MAX_AUDIT_LOG,
+  getModeration,
+  isBanned,
+  getMutedUntil,
+  normalizeSlowMode,
+  normalizeBannedWords,
+  maskBannedWords,
+  addAuditEntry
+};
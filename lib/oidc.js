@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+/**
+ * Вход через провайдера OpenID Connect (authorization code flow с PKCE).
+ * Настройки провайдера берутся из discovery-документа issuer'а, ID-токен
+ * проверяется по ключам из jwks_uri: подпись, iss, aud, exp и nonce.
+ */
+
+const REQUEST_TIMEOUT = 10 * 1000;
+const DISCOVERY_TTL = 60 * 60 * 1000;
+// Допустимое расхождение часов с провайдером, секунды
+const CLOCK_TOLERANCE = 60;
+
+const SIGNATURE_ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' }
+};
+
+// Запрос к провайдеру; ответ должен быть JSON
+function requestJson(url, { method = 'GET', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    const req = client.request(target, {
+      method,
+      headers: { Accept: 'application/json', ...headers },
+      timeout: REQUEST_TIMEOUT
+    }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        let data;
+        try {
+          data = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch (error) {
+          return reject(new Error(`Некорректный ответ ${url}: ${res.statusCode}`));
+        }
+        if (res.statusCode >= 400) {
+          return reject(new Error(`Ошибка ${url}: ${res.statusCode} ${data.error || ''}`.trim()));
+        }
+        resolve(data);
+      });
+    });
+    req.on('timeout', () => req.destroy(new Error(`Нет ответа от ${url}`)));
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+function randomValue() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Параметры одной попытки входа, сохраняются в сессии до возврата от провайдера
+ * @returns {{ state: string, nonce: string, codeVerifier: string }}
+ */
+function createAuthRequest() {
+  return { state: randomValue(), nonce: randomValue(), codeVerifier: randomValue() };
+}
+
+/**
+ * Создаёт клиента OpenID Connect
+ * @param {Object} options - Настройки
+ * @param {string} [options.issuer] - Адрес провайдера; без него вход через провайдера выключен
+ * @param {string} [options.clientId] - ID клиента у провайдера
+ * @param {string} [options.clientSecret] - Секрет клиента
+ * @param {string} [options.scope] - Запрашиваемые scope
+ * @returns {{ enabled: boolean, getAuthorizationUrl: Function, authenticate: Function }}
+ */
+function createOidcClient({ issuer, clientId, clientSecret, scope = 'openid email profile' } = {}) {
+  const enabled = !!(issuer && clientId);
+  // issuer сравнивается с discovery-документом и ID-токеном буквально, как требует OIDC;
+  // завершающий слэш (https://tenant.auth0.com/) убирается только при построении адреса discovery
+  const issuerUrl = enabled ? issuer : null;
+  const discoveryUrl = enabled ? `${issuer.replace(/\/+$/, '')}/.well-known/openid-configuration` : null;
+  let discovery = null;
+  let discoveredAt = 0;
+  let keys = null;
+
+  async function getDiscovery() {
+    if (!discovery || Date.now() - discoveredAt > DISCOVERY_TTL) {
+      const document = await requestJson(discoveryUrl);
+      if (document.issuer !== issuerUrl) {
+        throw new Error(`Discovery-документ выдан для другого issuer: ${document.issuer}`);
+      }
+      discovery = document;
+      discoveredAt = Date.now();
+      keys = null;
+    }
+    return discovery;
+  }
+
+  // Ключи кэшируются; неизвестный kid означает смену ключей у провайдера — перечитываем один раз
+  async function getSigningKey(kid) {
+    const find = () => keys && keys.find(key => !kid || key.kid === kid);
+    let jwk = find();
+    if (jwk) return jwk;
+    const { jwks_uri: jwksUri } = await getDiscovery();
+    keys = (await requestJson(jwksUri)).keys || [];
+    jwk = find();
+    if (!jwk) throw new Error(`Ключ подписи ${kid || 'без kid'} не найден в JWKS`);
+    return jwk;
+  }
+
+  async function verifyIdToken(idToken, nonce) {
+    const parts = String(idToken).split('.');
+    if (parts.length !== 3) throw new Error('ID-токен имеет неверный формат');
+    const header = decodeSegment(parts[0]);
+    const claims = decodeSegment(parts[1]);
+
+    const algorithm = SIGNATURE_ALGORITHMS[header.alg];
+    if (!algorithm) throw new Error(`Алгоритм подписи ${header.alg} не поддерживается`);
+    const key = crypto.createPublicKey({ key: await getSigningKey(header.kid), format: 'jwk' });
+    const valid = crypto.verify(
+      algorithm.hash,
+      Buffer.from(`${parts[0]}.${parts[1]}`),
+      { key, dsaEncoding: algorithm.dsaEncoding },
+      Buffer.from(parts[2], 'base64url')
+    );
+    if (!valid) throw new Error('Неверная подпись ID-токена');
+
+    const now = Math.floor(Date.now() / 1000);
+    const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (claims.iss !== discovery.issuer) throw new Error('ID-токен выдан другим issuer');
+    if (!audience.includes(clientId)) throw new Error('ID-токен выдан для другого клиента');
+    if (audience.length > 1 && claims.azp !== clientId) throw new Error('ID-токен выдан для другого клиента');
+    if (typeof claims.exp !== 'number' || claims.exp + CLOCK_TOLERANCE < now) throw new Error('ID-токен истёк');
+    if (claims.nonce !== nonce) throw new Error('Nonce ID-токена не совпадает');
+    if (!claims.sub) throw new Error('В ID-токене нет sub');
+    return claims;
+  }
+
+  /**
+   * Адрес страницы входа у провайдера
+   * @param {Object} authRequest - Результат createAuthRequest
+   * @param {string} redirectUri - Адрес возврата (/auth/oidc/callback)
+   * @returns {Promise<string>}
+   */
+  async function getAuthorizationUrl({ state, nonce, codeVerifier }, redirectUri) {
+    const { authorization_endpoint: endpoint } = await getDiscovery();
+    const url = new URL(endpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope,
+      state,
+      nonce,
+      code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+      code_challenge_method: 'S256'
+    }).toString();
+    return url.toString();
+  }
+
+  /**
+   * Обменивает код авторизации на токены и возвращает проверенные claims пользователя.
+   * Если email нет в ID-токене, он запрашивается у userinfo_endpoint.
+   * @param {string} code - Код из адреса возврата
+   * @param {Object} authRequest - Параметры, сохранённые перед переходом к провайдеру
+   * @param {string} redirectUri - Тот же адрес возврата, что и при переходе
+   * @returns {Promise<Object>} Claims: { sub, email, email_verified, name, ... }
+   */
+  async function authenticate(code, { nonce, codeVerifier }, redirectUri) {
+    const { token_endpoint: tokenEndpoint, userinfo_endpoint: userinfoEndpoint } = await getDiscovery();
+    const credentials = Buffer.from(
+      `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret || '')}`
+    ).toString('base64');
+    const tokens = await requestJson(tokenEndpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Authorization: `Basic ${credentials}`
+      },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        code_verifier: codeVerifier
+      }).toString()
+    });
+    if (!tokens.id_token) throw new Error('Провайдер не вернул ID-токен');
+
+    const claims = await verifyIdToken(tokens.id_token, nonce);
+    if (!claims.email && userinfoEndpoint && tokens.access_token) {
+      const userinfo = await requestJson(userinfoEndpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` }
+      });
+      // userinfo другого пользователя не должен подменить данные из ID-токена
+      if (userinfo.sub === claims.sub) {
+        return { ...userinfo, ...claims, email: userinfo.email, email_verified: userinfo.email_verified };
+      }
+    }
+    return claims;
+  }
+
+  return {
+    enabled,
+    issuer: issuerUrl,
+    getAuthorizationUrl,
+    authenticate
+  };
+}
+
+module.exports = {
+  createAuthRequest,
+  createOidcClient
+};
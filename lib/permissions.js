@@ -0,0 +1,110 @@
+/**
+ * Роли участников комнаты в порядке возрастания прав.
+ * Хост определяется по room.hostId, остальные роли хранятся в room.roles.
+ */
+const ROLES = ['viewer', 'moderator', 'cohost', 'host'];
+
+const ROLE_NAMES = {
+  viewer: 'Зритель',
+  moderator: 'Модератор',
+  cohost: 'Со-хост',
+  host: 'Хост'
+};
+
+/**
+ * Минимальная роль, необходимая для каждого действия, по умолчанию
+ */
+const DEFAULT_PERMISSIONS = {
+  controlPlayback: 'cohost',
+  changeVideo: 'cohost',
+  manageQueue: 'cohost',
+  addToQueue: 'viewer',
+  shareScreen: 'cohost',
+  chat: 'viewer',
+  deleteMessages: 'moderator',
+  moderate: 'moderator',
+  voiceChat: 'viewer'
+};
+
+const PERMISSION_ERRORS = {
+  controlPlayback: 'Недостаточно прав для управления воспроизведением',
+  changeVideo: 'Недостаточно прав для смены видео',
+  manageQueue: 'Недостаточно прав для управления очередью',
+  addToQueue: 'Недостаточно прав для добавления в очередь',
+  shareScreen: 'Недостаточно прав для демонстрации экрана',
+  chat: 'Недостаточно прав для отправки сообщений',
+  deleteMessages: 'Недостаточно прав для удаления чужих сообщений',
+  moderate: 'Недостаточно прав для модерации',
+  voiceChat: 'Недостаточно прав для голосового чата'
+};
+
+/**
+ * Возвращает роль пользователя в комнате
+ * @param {Object} room - Комната
+ * @param {string} userId - ID пользователя
+ * @returns {string} Роль (viewer, moderator, cohost, host)
+ */
+function getRole(room, userId) {
+  if (room.hostId === userId) return 'host';
+  return (room.roles && room.roles[userId]) || 'viewer';
+}
+
+/**
+ * Проверяет, что роль не ниже требуемой
+ * @param {string} role - Роль пользователя
+ * @param {string} requiredRole - Минимальная роль
+ * @returns {boolean} true если прав достаточно
+ */
+function hasRole(role, requiredRole) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+}
+
+/**
+ * Настройки прав комнаты с учётом действий, добавленных после её создания
+ * @param {Object} room - Комната
+ * @returns {Object} Минимальная роль для каждого действия
+ */
+function getPermissions(room) {
+  return { ...DEFAULT_PERMISSIONS, ...room.permissions };
+}
+
+/**
+ * Проверяет право пользователя на действие в комнате
+ * @param {Object} room - Комната
+ * @param {string} userId - ID пользователя
+ * @param {string} permission - Действие из DEFAULT_PERMISSIONS
+ * @returns {boolean} true если действие разрешено
+ */
+function can(room, userId, permission) {
+  const requiredRole = getPermissions(room)[permission];
+  if (!requiredRole) return false;
+  return hasRole(getRole(room, userId), requiredRole);
+}
+
+/**
+ * Оставляет в настройках прав только известные действия и допустимые роли
+ * @param {Object} input - Настройки от клиента
+ * @returns {Object} Полный набор настроек прав
+ */
+function normalizePermissions(input) {
+  const permissions = { ...DEFAULT_PERMISSIONS };
+  Object.keys(DEFAULT_PERMISSIONS).forEach(permission => {
+    const role = input && input[permission];
+    if (ROLES.includes(role)) {
+      permissions[permission] = role;
+    }
+  });
+  return permissions;
+}
+
+module.exports = {
+  ROLES,
+  ROLE_NAMES,
+  DEFAULT_PERMISSIONS,
+  PERMISSION_ERRORS,
+  getRole,
+  hasRole,
+  getPermissions,
+  can,
+  normalizePermissions
+};
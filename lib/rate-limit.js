@@ -0,0 +1,95 @@
+/**
+ * Ограничение частоты запросов алгоритмом token bucket.
+ * У каждого ключа (IP, пользователь) своё «ведро» на capacity жетонов,
+ * которое пополняется со скоростью refillPerSecond. Запрос забирает жетон;
+ * пустое ведро означает отказ до пополнения.
+ */
+class TokenBucketLimiter {
+  /**
+   * @param {Object} options - Настройки
+   * @param {number} options.capacity - Размер ведра (допустимый всплеск запросов)
+   * @param {number} options.refillPerSecond - Скорость пополнения (жетонов в секунду)
+   * @param {number} [options.maxKeys] - Сколько ключей хранить, прежде чем чистить полные вёдра
+   */
+  constructor({ capacity, refillPerSecond, maxKeys = 10000 }) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.maxKeys = maxKeys;
+    this.buckets = new Map();
+  }
+
+  refill(bucket, now) {
+    const elapsed = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(this.capacity, bucket.tokens + elapsed * this.refillPerSecond);
+    bucket.updatedAt = now;
+  }
+
+  /**
+   * Забирает жетоны для ключа
+   * @param {string} key - Ключ (IP, ID пользователя)
+   * @param {number} cost - Сколько жетонов стоит запрос
+   * @returns {{ allowed: boolean, retryAfter: number }} retryAfter — через сколько секунд повторить
+   */
+  take(key, cost = 1) {
+    const now = Date.now();
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      if (this.buckets.size >= this.maxKeys) this.prune(now);
+      bucket = { tokens: this.capacity, updatedAt: now };
+      this.buckets.set(key, bucket);
+    } else {
+      this.refill(bucket, now);
+    }
+
+    if (bucket.tokens >= cost) {
+      bucket.tokens -= cost;
+      return { allowed: true, retryAfter: 0 };
+    }
+    return { allowed: false, retryAfter: Math.ceil((cost - bucket.tokens) / this.refillPerSecond) };
+  }
+
+  /**
+   * Возвращает жетоны ключу, например после успешного входа
+   * @param {string} key - Ключ
+   */
+  reset(key) {
+    this.buckets.delete(key);
+  }
+
+  // Полные вёдра ничем не отличаются от отсутствующих — их можно забыть
+  prune(now) {
+    this.buckets.forEach((bucket, key) => {
+      this.refill(bucket, now);
+      if (bucket.tokens >= this.capacity) this.buckets.delete(key);
+    });
+  }
+}
+
+/**
+ * Middleware Express, отвечающий 429 при исчерпании лимита
+ * @param {TokenBucketLimiter} limiter - Ограничитель
+ * @param {Function} getKey - Ключ запроса (req) => string; null — не ограничивать
+ * @returns {Function} Middleware
+ */
+function rateLimit(limiter, getKey) {
+  return (req, res, next) => {
+    const key = getKey(req);
+    if (!key) return next();
+
+    const { allowed, retryAfter } = limiter.take(key);
+    if (allowed) return next();
+
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+      success: false,
+      code: 'RATE_LIMITED',
+      error: `Слишком много запросов. Повторите через ${retryAfter} с`,
+      retryAfter
+    });
+  };
+}
+
+module.exports = {
+  TokenBucketLimiter,
+  rateLimit
+};
@@ -0,0 +1,74 @@
+/**
+ * Политика хранения истории чата комнаты.
+ * maxMessages ограничивает число сообщений, maxAgeDays — их возраст (null — без ограничения).
+ */
+const DEFAULT_RETENTION = {
+  maxMessages: 5000,
+  maxAgeDays: null
+};
+
+const MIN_MESSAGES = 100;
+const MAX_MESSAGES = 10000;
+const MAX_AGE_DAYS = 365;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Настройки хранения комнаты с учётом значений по умолчанию
+ * @param {Object} room - Комната
+ * @returns {{ maxMessages: number, maxAgeDays: number|null }}
+ */
+function getRetention(room) {
+  return { ...DEFAULT_RETENTION, ...room.retention };
+}
+
+/**
+ * Оставляет в настройках хранения только допустимые значения
+ * @param {Object} input - Настройки от клиента
+ * @returns {{ maxMessages: number, maxAgeDays: number|null }} Полный набор настроек
+ */
+function normalizeRetention(input) {
+  const retention = { ...DEFAULT_RETENTION };
+  if (!input) return retention;
+
+  const maxMessages = Number(input.maxMessages);
+  if (Number.isInteger(maxMessages) && maxMessages >= MIN_MESSAGES && maxMessages <= MAX_MESSAGES) {
+    retention.maxMessages = maxMessages;
+  }
+
+  const maxAgeDays = input.maxAgeDays === null ? null : Number(input.maxAgeDays);
+  if (maxAgeDays === null || (Number.isInteger(maxAgeDays) && maxAgeDays >= 1 && maxAgeDays <= MAX_AGE_DAYS)) {
+    retention.maxAgeDays = maxAgeDays;
+  }
+  return retention;
+}
+
+/**
+ * Удаляет из комнаты сообщения, вышедшие за пределы политики хранения
+ * @param {Object} room - Комната (изменяется на месте)
+ * @param {number} now - Текущее время (мс)
+ * @returns {boolean} true если что-то было удалено
+ */
+function applyRetention(room, now = Date.now()) {
+  const { maxMessages, maxAgeDays } = getRetention(room);
+  const before = room.messages.length;
+
+  if (maxAgeDays) {
+    const cutoff = now - maxAgeDays * DAY;
+    room.messages = room.messages.filter(m => Date.parse(m.timestamp) >= cutoff);
+  }
+  if (room.messages.length > maxMessages) {
+    room.messages = room.messages.slice(-maxMessages);
+  }
+  return room.messages.length !== before;
+}
+
+module.exports = {
+  DEFAULT_RETENTION,
+  MIN_MESSAGES,
+  MAX_MESSAGES,
+  MAX_AGE_DAYS,
+  getRetention,
+  normalizeRetention,
+  applyRetention
+};
@@ -0,0 +1,128 @@
+/**
+ * Запланированные сеансы просмотра.
+ * room.schedule: { startsAt, videoUrl, title, createdBy, rsvps: { userId: { username, status, at } },
+ * remindedAt, startedAt } — в комнате не больше одного запланированного сеанса.
+ */
+const RSVP_STATUSES = ['going', 'maybe', 'declined'];
+
+// Дальше года вперёд планировать незачем
+const MAX_SCHEDULE_AHEAD = 365 * 24 * 60 * 60 * 1000;
+// За сколько до начала напоминаем тем, кто собирается прийти
+const REMINDER_LEAD = 15 * 60 * 1000;
+// Сколько сеанс висит в карточке комнаты после начала
+const SCHEDULE_KEEP_AFTER_START = 6 * 60 * 60 * 1000;
+// Длительность события в календаре, если продолжительность видео неизвестна
+const DEFAULT_EVENT_DURATION = 2 * 60 * 60 * 1000;
+
+/**
+ * Проверяет время начала сеанса
+ * @param {string} value - Дата в формате ISO
+ * @param {number} now - Текущее время (мс)
+ * @returns {number|null} Время начала (мс) или null, если оно в прошлом или слишком далеко
+ */
+function parseStartTime(value, now = Date.now()) {
+  const time = Date.parse(value);
+  if (!Number.isFinite(time) || time <= now || time - now > MAX_SCHEDULE_AHEAD) return null;
+  return time;
+}
+
+/**
+ * Сеанс для отправки клиенту: список ответов вместо словаря
+ * @param {Object|null} schedule - room.schedule
+ * @returns {Object|null} { startsAt, videoUrl, title, startedAt, rsvps: [{ userId, username, status }] }
+ */
+function toPublicSchedule(schedule) {
+  if (!schedule) return null;
+  const { startsAt, videoUrl, title, startedAt } = schedule;
+  const rsvps = Object.entries(schedule.rsvps || {}).map(([userId, rsvp]) => ({
+    userId,
+    username: rsvp.username,
+    status: rsvp.status
+  }));
+  return { startsAt, videoUrl, title, startedAt: startedAt || null, rsvps };
+}
+
+/**
+ * Кому напомнить о начале: ответившим «пойду» и «возможно»
+ * @param {Object} schedule - room.schedule
+ * @returns {string[]} ID пользователей
+ */
+function getReminderRecipients(schedule) {
+  return Object.entries(schedule.rsvps || {})
+    .filter(([, rsvp]) => rsvp.status !== 'declined')
+    .map(([userId]) => userId);
+}
+
+function escapeIcsText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function formatIcsDate(time) {
+  return new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// RFC 5545: строки длиннее 75 октетов переносятся, продолжение начинается с пробела
+function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Собирает файл календаря (.ics) для сеанса с напоминанием за REMINDER_LEAD
+ * @param {Object} room - Комната
+ * @param {string} roomUrl - Полная ссылка на комнату
+ * @returns {string} Содержимое файла
+ */
+function buildIcs(room, roomUrl) {
+  const { schedule } = room;
+  const start = Date.parse(schedule.startsAt);
+  const summary = schedule.title ? `${schedule.title} — ${room.name}` : room.name;
+  const description = [room.description, `Комната: ${roomUrl}`].filter(Boolean).join('\n');
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//WatchParty//Watch Party//RU',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${room.id}-${formatIcsDate(start)}@watchparty`,
+    `DTSTAMP:${formatIcsDate(Date.now())}`,
+    `DTSTART:${formatIcsDate(start)}`,
+    `DTEND:${formatIcsDate(start + DEFAULT_EVENT_DURATION)}`,
+    `SUMMARY:${escapeIcsText(summary)}`,
+    `DESCRIPTION:${escapeIcsText(description)}`,
+    `URL:${roomUrl}`,
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    `DESCRIPTION:${escapeIcsText(summary)}`,
+    `TRIGGER:-PT${REMINDER_LEAD / 60000}M`,
+    'END:VALARM',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ];
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  RSVP_STATUSES,
+  REMINDER_LEAD,
+  SCHEDULE_KEEP_AFTER_START,
+  parseStartTime,
+  toPublicSchedule,
+  getReminderRecipients,
+  buildIcs
+};
@@ -0,0 +1,290 @@
+const { ROLES } = require('./permissions');
+const { ROOM_CATEGORIES, ROOM_SORTS } = require('./discovery');
+const { RSVP_STATUSES } = require('./schedule');
+const { INVITE_ROLES, MAX_INVITE_TTL_HOURS, MAX_INVITE_USES } = require('./invites');
+
+/**
+ * Схемы входных данных REST-маршрутов и событий сокета (формат правил — см. lib/validation.js).
+ * Смысловые проверки (права, существование комнаты) остаются в обработчиках,
+ * здесь — только типы, обязательность и размеры.
+ */
+
+const id = { type: 'string', maxLength: 64 };
+const requiredId = { ...id, required: true };
+const roomId = requiredId;
+const url = { type: 'string', maxLength: 2048 };
+const timestamp = { type: 'number' };
+const messageText = { type: 'string', required: true, maxLength: 2000 };
+const reason = { type: 'string', maxLength: 200 };
+const description = { type: 'string', maxLength: 500 };
+const category = { type: 'string', values: ROOM_CATEGORIES };
+const tags = { type: 'array', maxItems: 10, items: { type: 'string', maxLength: 50 } };
+const pageNumber = { type: 'string', pattern: /^\d{1,4}$/ };
+const token = { type: 'string', required: true, maxLength: 1024 };
+// Параметры пути маршрутов /api/room/:id/...
+const roomParams = { id: requiredId };
+
+// ==================== REST ====================
+
+const ROUTE_SCHEMAS = {
+  register: {
+    body: {
+      username: { type: 'string', required: true, minLength: 1, maxLength: 50 },
+      email: { type: 'string', required: true, maxLength: 254, pattern: /^[^\s@]+@[^\s@]+$/ },
+      password: { type: 'string', required: true, maxLength: 128 }
+    }
+  },
+  login: {
+    body: {
+      email: { type: 'string', required: true, maxLength: 254 },
+      password: { type: 'string', required: true, maxLength: 128 },
+      remember: { type: 'boolean' }
+    }
+  },
+  email: {
+    body: {
+      email: { type: 'string', required: true, maxLength: 254 }
+    }
+  },
+  resetPassword: {
+    body: {
+      token,
+      password: { type: 'string', required: true, maxLength: 128 }
+    }
+  },
+  changePassword: {
+    body: {
+      currentPassword: { type: 'string', required: true, maxLength: 128 },
+      newPassword: { type: 'string', required: true, maxLength: 128 }
+    }
+  },
+  deleteAccount: {
+    body: {
+      password: { type: 'string', required: true, maxLength: 128 }
+    }
+  },
+  updateProfile: {
+    body: {
+      username: { type: 'string', minLength: 1, maxLength: 50 }
+    }
+  },
+  createRoom: {
+    body: {
+      roomName: { type: 'string', maxLength: 100 },
+      videoUrl: url,
+      isPrivate: { type: 'boolean' },
+      password: { type: 'string', maxLength: 128 },
+      description,
+      category,
+      tags,
+      // Продолжение просмотра из истории: название видео и позиция, с которой начать
+      videoTitle: { type: 'string', maxLength: 200 },
+      startTime: { type: 'number', min: 0 }
+    }
+  },
+  room: {
+    params: roomParams
+  },
+  invite: {
+    params: { ...roomParams, inviteId: requiredId }
+  },
+  token: {
+    params: { token }
+  },
+  session: {
+    params: { sessionId: requiredId }
+  },
+  historyEntry: {
+    params: { entryId: requiredId }
+  },
+  rooms: {
+    query: {
+      q: { type: 'string', maxLength: 100 },
+      filter: { type: 'string', values: ['all', 'my', 'public', 'private', 'archived'] },
+      category,
+      tag: { type: 'string', maxLength: 50 },
+      sort: { type: 'string', values: ROOM_SORTS },
+      page: pageNumber,
+      limit: pageNumber
+    }
+  },
+  updateRoom: {
+    params: roomParams,
+    body: {
+      name: { type: 'string', minLength: 1, maxLength: 100 },
+      isPrivate: { type: 'boolean' },
+      password: { type: 'string', maxLength: 128 },
+      archived: { type: 'boolean' },
+      description,
+      category,
+      tags
+    }
+  },
+  schedule: {
+    params: roomParams,
+    body: {
+      startsAt: { type: 'string', required: true, maxLength: 40 },
+      videoUrl: { ...url, required: true },
+      title: { type: 'string', maxLength: 200 }
+    }
+  },
+  rsvp: {
+    params: roomParams,
+    body: {
+      status: { type: 'string', required: true, values: RSVP_STATUSES }
+    }
+  },
+  createInvite: {
+    params: roomParams,
+    body: {
+      expiresInHours: { type: 'integer', min: 1, max: MAX_INVITE_TTL_HOURS, nullable: true },
+      maxUses: { type: 'integer', min: 1, max: MAX_INVITE_USES, nullable: true },
+      role: { type: 'string', values: INVITE_ROLES }
+    }
+  },
+  joinRoom: {
+    params: roomParams,
+    body: {
+      password: { type: 'string', maxLength: 128 }
+    }
+  },
+  messages: {
+    params: roomParams,
+    query: {
+      before: id,
+      limit: { type: 'string', pattern: /^\d{1,3}$/ },
+      q: { type: 'string', maxLength: 200 },
+      author: { type: 'string', maxLength: 100 },
+      from: { type: 'string', maxLength: 40 },
+      to: { type: 'string', maxLength: 40 }
+    }
+  }
+};
+
+// ==================== SOCKET.IO ====================
+
+const SOCKET_SCHEMAS = {
+  'join-room': { roomId, joinToken: { type: 'string', maxLength: 1024, nullable: true } },
+  'leave-room': { roomId: id },
+  'watch-rooms': {},
+  'time-sync': { clientTime: timestamp },
+
+  'send-message': {
+    roomId,
+    message: messageText,
+    replyTo: { ...id, nullable: true },
+    videoTime: { type: 'number', min: 0 }
+  },
+  'edit-message': { roomId, messageId: requiredId, message: messageText },
+  'delete-message': { roomId, messageId: requiredId },
+  'toggle-reaction': { roomId, messageId: requiredId, emoji: { type: 'string', required: true, maxLength: 8 } },
+
+  'video-control': {
+    roomId,
+    action: { type: 'string', required: true, values: ['play', 'pause', 'seek', 'sync', 'change-video'] },
+    // Плеер может не знать позицию (NaN превращается в null при передаче)
+    time: { type: 'number', min: 0, nullable: true },
+    url,
+    title: { type: 'string', maxLength: 200 },
+    isPlaying: { type: 'boolean' },
+    timestamp
+  },
+  'video-duration': { roomId, url, duration: { type: 'number', required: true, min: 0 } },
+  'video-ended': { roomId, url, duration: { type: 'number', min: 0 } },
+
+  'queue-add': { roomId, url: { ...url, required: true }, title: { type: 'string', maxLength: 200 } },
+  'queue-vote': { roomId, itemId: requiredId },
+  'queue-move': { roomId, itemId: requiredId, toIndex: { type: 'integer', required: true, min: 0 } },
+  'queue-remove': { roomId, itemId: requiredId },
+  'queue-skip': { roomId },
+
+  'set-role': { roomId, targetUserId: requiredId, role: { type: 'string', required: true, values: ROLES } },
+  'transfer-host': { roomId, targetUserId: requiredId },
+  'update-permissions': { roomId, permissions: { type: 'object', required: true } },
+  'update-retention': {
+    roomId,
+    retention: {
+      type: 'object',
+      required: true,
+      fields: {
+        maxMessages: { type: 'integer' },
+        maxAgeDays: { type: 'integer', nullable: true }
+      }
+    }
+  },
+
+  'sound-effect': { roomId, sound: { type: 'string', required: true, maxLength: 32, pattern: /^[a-z0-9-]+$/ } },
+  'kick-user': { roomId, targetUserId: requiredId, reason },
+  'mute-user': { roomId, targetUserId: requiredId, duration: { type: 'integer', required: true, min: 0 } },
+  'ban-user': { roomId, targetUserId: requiredId, reason },
+  'unban-user': { roomId, targetUserId: requiredId },
+  'update-moderation': {
+    roomId,
+    slowMode: { type: 'integer', min: 0 },
+    bannedWords: { type: 'array', maxItems: 200, items: { type: 'string', maxLength: 50 } }
+  },
+
+  'screen-share-start': {
+    roomId,
+    quality: { type: 'string', maxLength: 16 },
+    delay: { type: 'number', min: 0 },
+    hasAudio: { type: 'boolean' }
+  },
+  'screen-share-stop': { roomId, targetUserId: id },
+  'screen-frame': {
+    roomId,
+    frame: { type: 'string', required: true, maxLength: 1000000, pattern: /^data:image\// },
+    timestamp,
+    width: { type: 'integer', min: 1, max: 8192 },
+    height: { type: 'integer', min: 1, max: 8192 }
+  },
+
+  'rtc-signal': {
+    roomId: id,
+    to: requiredId,
+    channel: { type: 'string', required: true, maxLength: 16 },
+    type: { type: 'string', required: true, maxLength: 16 },
+    sdp: {
+      type: 'object',
+      fields: {
+        type: { type: 'string', maxLength: 16 },
+        sdp: { type: 'string', maxLength: 100000 }
+      }
+    },
+    candidate: {
+      type: 'object',
+      fields: {
+        candidate: { type: 'string', maxLength: 1000 },
+        sdpMid: { type: 'string', maxLength: 64, nullable: true },
+        sdpMLineIndex: { type: 'integer', min: 0, nullable: true },
+        usernameFragment: { type: 'string', maxLength: 256, nullable: true }
+      }
+    }
+  },
+  'voice-join': { roomId, video: { type: 'boolean' } },
+  'voice-state': { roomId, muted: { type: 'boolean' }, deafened: { type: 'boolean' }, video: { type: 'boolean' } },
+  'voice-speaking': { roomId, speaking: { type: 'boolean', required: true } },
+  'voice-leave': { roomId }
+};
+
+/**
+ * Группы событий сокета для ограничения частоты: у каждой свой лимит на пользователя.
+ * События, которых здесь нет, попадают в группу default.
+ */
+const SOCKET_RATE_GROUPS = {
+  'send-message': 'chat',
+  'edit-message': 'chat',
+  'delete-message': 'chat',
+  'toggle-reaction': 'chat',
+  'sound-effect': 'sound',
+  'screen-frame': 'media',
+  'rtc-signal': 'signal',
+  'voice-speaking': 'signal',
+  'join-room': 'join'
+};
+
+module.exports = {
+  ROUTE_SCHEMAS,
+  SOCKET_SCHEMAS,
+  SOCKET_RATE_GROUPS
+};
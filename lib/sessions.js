@@ -0,0 +1,124 @@
+/**
+ * Сведения о сессиях для списка «Активные сессии» в профиле.
+ * В самой сессии хранится session.info = { userAgent, ip, createdAt, lastActivityAt, remember }.
+ * Клиенту ID сессии не отдаётся: вместо него — хэш, по которому сессию можно завершить.
+ */
+const crypto = require('crypto');
+
+const SESSION_MAX_AGE = 24 * 60 * 60 * 1000;
+// «Запомнить меня»
+const REMEMBER_ME_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+// Последняя активность обновляется не чаще раза в минуту, чтобы не сохранять сессию на каждый запрос
+const ACTIVITY_UPDATE_INTERVAL = 60 * 1000;
+
+const BROWSERS = [
+  [/Edg(e|A|iOS)?\//, 'Edge'],
+  [/OPR\/|Opera/, 'Opera'],
+  [/YaBrowser\//, 'Яндекс Браузер'],
+  [/Firefox\/|FxiOS\//, 'Firefox'],
+  [/Chrome\/|CriOS\//, 'Chrome'],
+  [/Safari\//, 'Safari']
+];
+
+const SYSTEMS = [
+  [/Windows/, 'Windows'],
+  [/Android/, 'Android'],
+  [/iPhone|iPad|iPod/, 'iOS'],
+  [/Mac OS X|Macintosh/, 'macOS'],
+  [/CrOS/, 'ChromeOS'],
+  [/Linux/, 'Linux']
+];
+
+function matchFirst(list, userAgent) {
+  const found = list.find(([pattern]) => pattern.test(userAgent));
+  return found ? found[1] : null;
+}
+
+/**
+ * Краткое описание устройства по User-Agent
+ * @param {string} userAgent - Заголовок User-Agent
+ * @returns {string} Например, «Chrome, Windows»
+ */
+function describeDevice(userAgent) {
+  if (!userAgent) return 'Неизвестное устройство';
+  const parts = [matchFirst(BROWSERS, userAgent), matchFirst(SYSTEMS, userAgent)].filter(Boolean);
+  return parts.length > 0 ? parts.join(', ') : userAgent.slice(0, 60);
+}
+
+/**
+ * Отмечает начало сессии после входа и задаёт её срок
+ * @param {Object} session - req.session
+ * @param {Object} client - { userAgent, ip, remember }
+ */
+function startSession(session, { userAgent, ip, remember = false }) {
+  const now = new Date().toISOString();
+  session.info = {
+    userAgent: userAgent || null,
+    ip: ip || null,
+    createdAt: now,
+    lastActivityAt: now,
+    remember
+  };
+  session.cookie.maxAge = remember ? REMEMBER_ME_MAX_AGE : SESSION_MAX_AGE;
+}
+
+/**
+ * Обновляет последнюю активность и IP сессии. Сессии, начатые до появления
+ * session.info, получают его при первом запросе, но без времени входа.
+ * @param {Object} session - req.session
+ * @param {Object} client - { userAgent, ip }
+ */
+function touchSession(session, { userAgent, ip }) {
+  const info = session.info;
+  if (info && info.ip === ip && Date.now() - Date.parse(info.lastActivityAt) < ACTIVITY_UPDATE_INTERVAL) {
+    return;
+  }
+  session.info = {
+    userAgent: userAgent || null,
+    createdAt: null,
+    remember: false,
+    ...info,
+    ip: ip || null,
+    lastActivityAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Идентификатор сессии для клиента
+ * @param {string} sessionId - ID сессии в хранилище
+ * @returns {string}
+ */
+function getSessionPublicId(sessionId) {
+  return crypto.createHash('sha256').update(sessionId).digest('hex').slice(0, 16);
+}
+
+/**
+ * Сессия для списка в профиле
+ * @param {string} sessionId - ID сессии в хранилище
+ * @param {Object} data - Данные сессии
+ * @param {string} currentSessionId - ID сессии, из которой запрошен список
+ * @returns {Object} { id, current, device, ip, createdAt, lastActivityAt, expiresAt, remember }
+ */
+function toPublicSession(sessionId, data, currentSessionId) {
+  const info = data.info || {};
+  return {
+    id: getSessionPublicId(sessionId),
+    current: sessionId === currentSessionId,
+    device: describeDevice(info.userAgent),
+    ip: info.ip || null,
+    createdAt: info.createdAt || null,
+    lastActivityAt: info.lastActivityAt || null,
+    expiresAt: data.cookie && data.cookie.expires ? new Date(data.cookie.expires).toISOString() : null,
+    remember: !!info.remember
+  };
+}
+
+module.exports = {
+  SESSION_MAX_AGE,
+  REMEMBER_ME_MAX_AGE,
+  describeDevice,
+  startSession,
+  touchSession,
+  getSessionPublicId,
+  toPublicSession
+};
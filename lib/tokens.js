@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+
+// Пропуск в приватную комнату действует недолго: его хватает, чтобы открыть страницу и подключить сокет
+const JOIN_TOKEN_TTL = 5 * 60 * 1000;
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL = 60 * 60 * 1000;
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * Подписывает данные HMAC-подписью
+ * @param {Object} data - Данные токена
+ * @param {string} secret - Секрет подписи
+ * @returns {string} Токен вида payload.signature
+ */
+function signToken(data, secret) {
+  const payload = Buffer.from(JSON.stringify(data)).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+// Данные токена с верной подписью, без проверки срока действия
+function decodeToken(token, secret) {
+  if (typeof token !== 'string') return null;
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Проверяет подпись и срок действия токена
+ * @param {string} token - Токен
+ * @param {string} secret - Секрет подписи
+ * @returns {Object|null} Данные токена или null, если токен недействителен
+ */
+function readToken(token, secret) {
+  const data = decodeToken(token, secret);
+  if (!data || (data.exp && data.exp <= Date.now())) return null;
+  return data;
+}
+
+/**
+ * Выдаёт пропуск пользователя в комнату после проверки пароля
+ * @param {string} roomId - ID комнаты
+ * @param {string} userId - ID пользователя
+ * @param {string} secret - Секрет подписи
+ * @param {number} accessVersion - Версия доступа комнаты (меняется со сменой пароля)
+ * @returns {{ token: string, expiresAt: number }}
+ */
+function createJoinToken(roomId, userId, secret, accessVersion = 0) {
+  const expiresAt = Date.now() + JOIN_TOKEN_TTL;
+  return {
+    token: signToken({ type: 'join', roomId, userId, v: accessVersion, exp: expiresAt }, secret),
+    expiresAt
+  };
+}
+
+/**
+ * Проверяет, что пропуск выдан этому пользователю в эту комнату, не истёк
+ * и получен по действующему паролю
+ * @returns {boolean} true если пропуск действителен
+ */
+function verifyJoinToken(token, roomId, userId, secret, accessVersion = 0) {
+  const data = readToken(token, secret);
+  return !!data && data.type === 'join' && data.roomId === roomId && data.userId === userId &&
+    (data.v || 0) === accessVersion;
+}
+
+/**
+ * Подписывает ссылку-приглашение в комнату. Срок действия зашит в токен,
+ * поэтому просроченную ссылку отклоняет уже проверка подписи
+ * @param {string} roomId - ID комнаты
+ * @param {string} inviteId - ID приглашения в room.invites
+ * @param {string} secret - Секрет подписи
+ * @param {number|null} expiresAt - Время истечения (мс) или null для бессрочного
+ * @returns {string} Токен
+ */
+function createInviteToken(roomId, inviteId, secret, expiresAt = null) {
+  const data = { type: 'invite', roomId, inviteId };
+  if (expiresAt) data.exp = expiresAt;
+  return signToken(data, secret);
+}
+
+/**
+ * Читает ссылку-приглашение. Просроченная ссылка с верной подписью возвращается
+ * с expired: true, чтобы пользователь узнал, почему она не сработала
+ * @returns {{ roomId: string, inviteId: string, expired: boolean }|null} null если подпись неверна
+ */
+function readInviteToken(token, secret) {
+  const data = decodeToken(token, secret);
+  if (!data || data.type !== 'invite' || !data.roomId || !data.inviteId) return null;
+  return { roomId: data.roomId, inviteId: data.inviteId, expired: !!data.exp && data.exp <= Date.now() };
+}
+
+/**
+ * Ссылка подтверждения email. Адрес зашит в токен: после смены email старая ссылка не сработает
+ * @param {string} userId - ID пользователя
+ * @param {string} email - Подтверждаемый адрес
+ * @param {string} secret - Секрет подписи
+ * @returns {string} Токен
+ */
+function createEmailVerificationToken(userId, email, secret) {
+  return signToken({ type: 'verify-email', userId, email, exp: Date.now() + EMAIL_VERIFICATION_TTL }, secret);
+}
+
+/**
+ * @returns {{ userId: string, email: string }|null} null если токен недействителен
+ */
+function readEmailVerificationToken(token, secret) {
+  const data = readToken(token, secret);
+  if (!data || data.type !== 'verify-email') return null;
+  return { userId: data.userId, email: data.email };
+}
+
+/**
+ * Отпечаток хеша пароля. Входит в токен сброса, поэтому ссылка перестаёт работать,
+ * как только пароль сменён — в том числе по ней самой
+ * @param {string} passwordHash - Хеш пароля (bcrypt)
+ * @returns {string} Отпечаток
+ */
+function getPasswordFingerprint(passwordHash) {
+  return crypto.createHash('sha256').update(passwordHash || '').digest('base64url').slice(0, 16);
+}
+
+/**
+ * Ссылка сброса пароля
+ * @param {string} userId - ID пользователя
+ * @param {string} passwordHash - Текущий хеш пароля
+ * @param {string} secret - Секрет подписи
+ * @returns {string} Токен
+ */
+function createPasswordResetToken(userId, passwordHash, secret) {
+  return signToken({
+    type: 'reset-password',
+    userId,
+    pw: getPasswordFingerprint(passwordHash),
+    exp: Date.now() + PASSWORD_RESET_TTL
+  }, secret);
+}
+
+/**
+ * @returns {{ userId: string, passwordFingerprint: string }|null} null если токен недействителен
+ */
+function readPasswordResetToken(token, secret) {
+  const data = readToken(token, secret);
+  if (!data || data.type !== 'reset-password') return null;
+  return { userId: data.userId, passwordFingerprint: data.pw };
+}
+
+module.exports = {
+  JOIN_TOKEN_TTL,
+  EMAIL_VERIFICATION_TTL,
+  PASSWORD_RESET_TTL,
+  signToken,
+  readToken,
+  createJoinToken,
+  verifyJoinToken,
+  createInviteToken,
+  readInviteToken,
+  createEmailVerificationToken,
+  readEmailVerificationToken,
+  getPasswordFingerprint,
+  createPasswordResetToken,
+  readPasswordResetToken
+};
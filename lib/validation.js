@@ -0,0 +1,141 @@
+/**
+ * Проверка входных данных REST-маршрутов и событий сокета по простым схемам.
+ *
+ * Схема — объект { поле: правило }. Правило:
+ *   type: string | number | integer | boolean | object | array | any
+ *   required, nullable, minLength, maxLength, pattern, values (допустимые значения),
+ *   min, max, maxItems, items (правило для элементов массива), fields (схема вложенного объекта).
+ * Поля, которых нет в схеме, отбрасываются, чтобы обработчики не получали лишнего.
+ */
+
+const TYPE_NAMES = {
+  string: 'строкой',
+  number: 'числом',
+  integer: 'целым числом',
+  boolean: 'логическим значением',
+  object: 'объектом',
+  array: 'массивом'
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkType(type, value) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'object': return isPlainObject(value);
+    case 'array': return Array.isArray(value);
+    default: return true;
+  }
+}
+
+function validateValue(rule, value, field, errors) {
+  if (value === undefined) {
+    if (rule.required) errors.push({ field, message: 'Обязательное поле' });
+    return undefined;
+  }
+  if (value === null) {
+    if (!rule.nullable) errors.push({ field, message: 'Поле не может быть пустым' });
+    return null;
+  }
+  if (!checkType(rule.type, value)) {
+    errors.push({ field, message: `Поле должно быть ${TYPE_NAMES[rule.type]}` });
+    return undefined;
+  }
+
+  if (rule.values && !rule.values.includes(value)) {
+    errors.push({ field, message: 'Недопустимое значение' });
+  }
+  if (typeof value === 'string') {
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      errors.push({ field, message: `Минимальная длина — ${rule.minLength}` });
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      errors.push({ field, message: `Максимальная длина — ${rule.maxLength}` });
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      errors.push({ field, message: 'Неверный формат' });
+    }
+  }
+  if (typeof value === 'number') {
+    if (rule.min !== undefined && value < rule.min) {
+      errors.push({ field, message: `Значение должно быть не меньше ${rule.min}` });
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      errors.push({ field, message: `Значение должно быть не больше ${rule.max}` });
+    }
+  }
+  if (Array.isArray(value)) {
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      errors.push({ field, message: `Не больше ${rule.maxItems} элементов` });
+      return undefined;
+    }
+    if (rule.items) {
+      return value.map((item, index) => validateValue(rule.items, item, `${field}[${index}]`, errors));
+    }
+  }
+  if (rule.fields && isPlainObject(value)) {
+    return validateFields(rule.fields, value, `${field}.`, errors);
+  }
+  return value;
+}
+
+function validateFields(schema, data, prefix, errors) {
+  const result = {};
+  Object.keys(schema).forEach(key => {
+    const value = validateValue(schema[key], data[key], prefix + key, errors);
+    if (value !== undefined) result[key] = value;
+  });
+  return result;
+}
+
+/**
+ * Проверяет данные по схеме
+ * @param {Object} schema - Схема { поле: правило }
+ * @param {*} data - Входные данные
+ * @returns {{ valid: boolean, value: Object, errors: Array<{ field: string, message: string }> }}
+ */
+function validate(schema, data) {
+  const errors = [];
+  if (data !== undefined && data !== null && !isPlainObject(data)) {
+    return { valid: false, value: {}, errors: [{ field: '', message: 'Ожидается объект' }] };
+  }
+  const value = validateFields(schema, data || {}, '', errors);
+  return { valid: errors.length === 0, value, errors };
+}
+
+/**
+ * Middleware Express: проверяет req.body, req.query и req.params и заменяет их очищенными данными
+ * @param {Object} schemas - { body?, query?, params? }
+ * @returns {Function} Middleware
+ */
+function validateRequest(schemas) {
+  return (req, res, next) => {
+    const errors = [];
+    ['params', 'query', 'body'].forEach(source => {
+      if (!schemas[source]) return;
+      const result = validate(schemas[source], req[source]);
+      errors.push(...result.errors);
+      req[source] = result.value;
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        code: 'VALIDATION_ERROR',
+        error: errors[0].field ? `${errors[0].field}: ${errors[0].message}` : errors[0].message,
+        details: errors
+      });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  validate,
+  validateRequest
+};
@@ -0,0 +1,666 @@
+// Адаптеры видеоплееров для комнаты WatchParty
+
+/*
+ * Все адаптеры реализуют один интерфейс, поэтому логика синхронизации
+ * в комнате не зависит от источника видео:
+ *
+ *   type               - Тип источника (direct, hls, youtube, vimeo, vk, rutube)
+ *   element            - Элемент страницы, в котором показывается плеер
+ *   canAdjustRate      - Можно ли плавно менять скорость для коррекции рассинхронизации
+ *   ready              - Promise, который выполняется, когда плеером можно управлять
+ *   play()             - Запускает воспроизведение, возвращает Promise
+ *   pause()            - Ставит на паузу
+ *   seek(seconds)      - Перематывает
+ *   getTime()          - Текущая позиция (секунды)
+ *   getDuration()      - Длительность (секунды)
+ *   isPaused()         - true если видео на паузе
+ *   setPlaybackRate(r) - Меняет скорость воспроизведения
+ *   setVolume(level)   - Меняет громкость (0..1)
+ *   onStateChange(cb)  - Подписка на события { state, time },
+ *                        state: playing | paused | seeked | ended
+ *   destroy()          - Освобождает ресурсы плеера
+ */
+
+const HLS_JS_URL = 'https://cdn.jsdelivr.net/npm/hls.js@1/dist/hls.min.js';
+const YOUTUBE_API_URL = 'https://www.youtube.com/iframe_api';
+const VIMEO_API_URL = 'https://player.vimeo.com/api/player.js';
+const VK_API_URL = 'https://vk.com/js/api/videoplayer.js';
+
+/**
+ * Разница позиции, после которой изменение считается перемоткой (секунды)
+ */
+const SEEK_DETECTION_THRESHOLD = 1;
+
+/**
+ * Загружает внешний скрипт один раз на страницу
+ * @param {string} src - Адрес скрипта
+ * @param {string} globalName - Глобальная переменная, которую создаёт скрипт
+ * @returns {Promise<Object>} Значение глобальной переменной
+ */
+function loadScript(src, globalName) {
+    if (window[globalName]) {
+        return Promise.resolve(window[globalName]);
+    }
+
+    loadScript.cache = loadScript.cache || {};
+    if (!loadScript.cache[src]) {
+        loadScript.cache[src] = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = () => resolve(window[globalName]);
+            script.onerror = () => {
+                delete loadScript.cache[src];
+                reject(new Error(`Не удалось загрузить ${src}`));
+            };
+            document.head.appendChild(script);
+        });
+    }
+
+    return loadScript.cache[src];
+}
+
+/**
+ * Создает список подписчиков на события плеера
+ * @param {Function} getTime - Возвращает текущую позицию
+ * @returns {Object} { emit(state), subscribe(callback) }
+ */
+function createStateEmitter(getTime) {
+    const listeners = [];
+    return {
+        emit: (state) => {
+            const time = getTime();
+            listeners.forEach(callback => callback({ state, time }));
+        },
+        subscribe: (callback) => listeners.push(callback)
+    };
+}
+
+/**
+ * Определяет перемотку по скачку позиции — для плееров, которые о ней не сообщают
+ * @param {Object} options - Настройки
+ * @param {Function} options.getTime - Текущая позиция
+ * @param {Function} options.isPlaying - Идёт ли воспроизведение
+ * @param {Function} options.onSeek - Вызывается при обнаружении перемотки
+ * @returns {Object} { check(), reset(time), start(), stop() }
+ */
+function createSeekDetector({ getTime, isPlaying, onSeek }) {
+    let lastTime = 0;
+    let lastCheckAt = Date.now();
+    let timer = null;
+
+    const check = () => {
+        const now = Date.now();
+        const time = getTime();
+        const expected = lastTime + (isPlaying() ? (now - lastCheckAt) / 1000 : 0);
+
+        if (Math.abs(time - expected) > SEEK_DETECTION_THRESHOLD) {
+            onSeek();
+        }
+
+        lastTime = time;
+        lastCheckAt = now;
+    };
+
+    return {
+        check,
+        reset: (time) => {
+            lastTime = time;
+            lastCheckAt = Date.now();
+        },
+        start: () => {
+            if (!timer) timer = setInterval(check, 500);
+        },
+        stop: () => {
+            if (timer) clearInterval(timer);
+            timer = null;
+        }
+    };
+}
+
+/**
+ * Создает iframe плеера во весь контейнер
+ * @param {HTMLElement} container - Контейнер
+ * @param {string} src - Адрес встраиваемого плеера
+ * @returns {HTMLIFrameElement} Созданный iframe
+ */
+function createPlayerIframe(container, src) {
+    const iframe = document.createElement('iframe');
+    iframe.src = src;
+    iframe.allow = 'autoplay; encrypted-media; fullscreen; picture-in-picture';
+    iframe.allowFullscreen = true;
+    iframe.style.width = '100%';
+    iframe.style.height = '100%';
+    iframe.style.border = 'none';
+
+    container.innerHTML = '';
+    container.appendChild(iframe);
+    return iframe;
+}
+
+/**
+ * Создает адаптер для HTML5 <video>
+ * @param {HTMLVideoElement} video - Элемент видео
+ * @param {string} url - Ссылка на видеофайл
+ * @param {Object} options - Настройки
+ * @param {Function} options.attachSource - Подключает источник вместо video.src,
+ *   может вернуть Promise с функцией очистки
+ * @returns {Object} Адаптер плеера
+ */
+function createHtml5Adapter(video, url, { attachSource } = {}) {
+    const events = createStateEmitter(() => video.currentTime || 0);
+    let detachSource = null;
+    let destroyed = false;
+
+    const handlers = {
+        play: () => events.emit('playing'),
+        pause: () => {
+            // По окончании видео браузер тоже присылает pause — его не дублируем
+            if (!video.ended) events.emit('paused');
+        },
+        seeked: () => events.emit('seeked'),
+        ended: () => events.emit('ended')
+    };
+
+    Object.entries(handlers).forEach(([event, handler]) => {
+        video.addEventListener(event, handler);
+    });
+
+    const metadataLoaded = new Promise(resolve => {
+        video.addEventListener('loadedmetadata', () => resolve(), { once: true });
+    });
+
+    let attached = null;
+    if (attachSource) {
+        attached = attachSource(video);
+    } else {
+        video.src = url;
+    }
+
+    const ready = Promise.resolve(attached)
+        .then(cleanup => {
+            if (destroyed && cleanup) {
+                cleanup();
+                return;
+            }
+            detachSource = cleanup;
+            return metadataLoaded;
+        });
+
+    return {
+        type: 'direct',
+        element: video,
+        canAdjustRate: true,
+        ready,
+        play: () => video.play(),
+        pause: () => video.pause(),
+        seek: (seconds) => {
+            video.currentTime = seconds;
+        },
+        getTime: () => video.currentTime || 0,
+        getDuration: () => video.duration || 0,
+        isPaused: () => video.paused,
+        setPlaybackRate: (rate) => {
+            video.playbackRate = rate;
+        },
+        setVolume: (level) => {
+            video.volume = level;
+        },
+        onStateChange: events.subscribe,
+        destroy: () => {
+            destroyed = true;
+            Object.entries(handlers).forEach(([event, handler]) => {
+                video.removeEventListener(event, handler);
+            });
+            if (detachSource) detachSource();
+            video.pause();
+            video.playbackRate = 1;
+            video.removeAttribute('src');
+            video.load();
+        }
+    };
+}
+
+/**
+ * Создает адаптер для HLS-потока (.m3u8) через hls.js
+ * @param {HTMLVideoElement} video - Элемент видео
+ * @param {string} url - Ссылка на плейлист
+ * @returns {Object} Адаптер плеера
+ */
+function createHlsAdapter(video, url) {
+    // Safari и iOS воспроизводят HLS нативно
+    if (video.canPlayType('application/vnd.apple.mpegurl')) {
+        return { ...createHtml5Adapter(video, url), type: 'hls' };
+    }
+
+    const adapter = createHtml5Adapter(video, url, {
+        attachSource: () => loadScript(HLS_JS_URL, 'Hls').then(Hls => {
+            if (!Hls.isSupported()) {
+                throw new Error('HLS не поддерживается этим браузером');
+            }
+
+            const hls = new Hls();
+            hls.loadSource(url);
+            hls.attachMedia(video);
+            return () => hls.destroy();
+        })
+    });
+
+    return { ...adapter, type: 'hls' };
+}
+
+/**
+ * Создает адаптер для YouTube через YT.Player
+ * @param {HTMLElement} container - Контейнер, в который будет встроен плеер
+ * @param {string} videoId - ID видео YouTube
+ * @returns {Object} Адаптер плеера
+ */
+function createYouTubeAdapter(container, videoId) {
+    let player = null;
+
+    const getTime = () => (player && player.getCurrentTime ? player.getCurrentTime() : 0);
+    const isPlaying = () => !!(player && player.getPlayerState &&
+        player.getPlayerState() === window.YT.PlayerState.PLAYING);
+
+    const events = createStateEmitter(getTime);
+    // IFrame API не сообщает о перемотке — определяем её по скачку позиции
+    const seekDetector = createSeekDetector({ getTime, isPlaying, onSeek: () => events.emit('seeked') });
+
+    container.innerHTML = '<div></div>';
+    const mountPoint = container.firstElementChild;
+
+    const ready = loadYouTubeApi().then(YT => new Promise(resolve => {
+        player = new YT.Player(mountPoint, {
+            width: '100%',
+            height: '100%',
+            videoId,
+            playerVars: {
+                autoplay: 0,
+                controls: 1,
+                playsinline: 1,
+                rel: 0,
+                origin: window.location.origin
+            },
+            events: {
+                onReady: () => {
+                    seekDetector.start();
+                    resolve();
+                },
+                onStateChange: (event) => {
+                    seekDetector.check();
+                    switch (event.data) {
+                        case YT.PlayerState.PLAYING:
+                            events.emit('playing');
+                            break;
+                        case YT.PlayerState.PAUSED:
+                            events.emit('paused');
+                            break;
+                        case YT.PlayerState.ENDED:
+                            events.emit('ended');
+                            break;
+                    }
+                }
+            }
+        });
+    }));
+
+    return {
+        type: 'youtube',
+        element: container,
+        // YouTube поддерживает только фиксированный набор скоростей
+        canAdjustRate: false,
+        ready,
+        play: () => {
+            if (player) player.playVideo();
+            return Promise.resolve();
+        },
+        pause: () => {
+            if (player) player.pauseVideo();
+        },
+        seek: (seconds) => {
+            if (!player) return;
+            player.seekTo(seconds, true);
+            seekDetector.reset(seconds);
+        },
+        getTime,
+        getDuration: () => (player && player.getDuration ? player.getDuration() : 0),
+        isPaused: () => !isPlaying(),
+        setPlaybackRate: (rate) => {
+            if (player && rate === 1) player.setPlaybackRate(1);
+        },
+        setVolume: (level) => {
+            if (player && player.setVolume) player.setVolume(Math.round(level * 100));
+        },
+        onStateChange: events.subscribe,
+        destroy: () => {
+            seekDetector.stop();
+            if (player && player.destroy) player.destroy();
+            player = null;
+            container.innerHTML = '';
+        }
+    };
+}
+
+/**
+ * Загружает YouTube IFrame API (один раз на страницу)
+ * @returns {Promise<Object>} Глобальный объект YT
+ */
+function loadYouTubeApi() {
+    if (window.YT && window.YT.Player) {
+        return Promise.resolve(window.YT);
+    }
+
+    if (!loadYouTubeApi.promise) {
+        loadYouTubeApi.promise = new Promise(resolve => {
+            const previousCallback = window.onYouTubeIframeAPIReady;
+            window.onYouTubeIframeAPIReady = () => {
+                if (typeof previousCallback === 'function') previousCallback();
+                resolve(window.YT);
+            };
+
+            if (!document.querySelector(`script[src="${YOUTUBE_API_URL}"]`)) {
+                const script = document.createElement('script');
+                script.src = YOUTUBE_API_URL;
+                document.head.appendChild(script);
+            }
+        });
+    }
+
+    return loadYouTubeApi.promise;
+}
+
+/**
+ * Создает адаптер для Vimeo через Vimeo Player SDK
+ * @param {HTMLElement} container - Контейнер плеера
+ * @param {string} videoId - ID видео Vimeo
+ * @returns {Object} Адаптер плеера
+ */
+function createVimeoAdapter(container, videoId) {
+    let player = null;
+    // SDK асинхронный, поэтому позицию и состояние кэшируем по событиям
+    let currentTime = 0;
+    let duration = 0;
+    let paused = true;
+
+    const events = createStateEmitter(() => currentTime);
+    const iframe = createPlayerIframe(container, `https://player.vimeo.com/video/${videoId}?autoplay=0`);
+
+    const ready = loadScript(VIMEO_API_URL, 'Vimeo').then(Vimeo => {
+        player = new Vimeo.Player(iframe);
+
+        player.on('timeupdate', (data) => {
+            currentTime = data.seconds;
+            duration = data.duration;
+        });
+        player.on('play', (data) => {
+            paused = false;
+            currentTime = data.seconds;
+            events.emit('playing');
+        });
+        player.on('pause', (data) => {
+            paused = true;
+            currentTime = data.seconds;
+            events.emit('paused');
+        });
+        player.on('seeked', (data) => {
+            currentTime = data.seconds;
+            events.emit('seeked');
+        });
+        player.on('ended', () => {
+            paused = true;
+            events.emit('ended');
+        });
+
+        return player.ready()
+            .then(() => player.getDuration())
+            .then(value => {
+                duration = value;
+            });
+    });
+
+    return {
+        type: 'vimeo',
+        element: container,
+        // Смена скорости в Vimeo доступна не для всех аккаунтов
+        canAdjustRate: false,
+        ready,
+        play: () => (player ? player.play() : Promise.resolve()),
+        pause: () => {
+            if (player) player.pause().catch(() => {});
+        },
+        seek: (seconds) => {
+            currentTime = seconds;
+            if (player) player.setCurrentTime(seconds).catch(() => {});
+        },
+        getTime: () => currentTime,
+        getDuration: () => duration,
+        isPaused: () => paused,
+        setPlaybackRate: () => {},
+        setVolume: (level) => {
+            if (player) player.setVolume(level).catch(() => {});
+        },
+        onStateChange: events.subscribe,
+        destroy: () => {
+            if (player) player.destroy().catch(() => {});
+            player = null;
+            container.innerHTML = '';
+        }
+    };
+}
+
+/**
+ * Создает адаптер для VK Видео через VK Video Player API
+ * @param {HTMLElement} container - Контейнер плеера
+ * @param {string} videoId - ID видео в формате oid_id
+ * @returns {Object} Адаптер плеера
+ */
+function createVKAdapter(container, videoId) {
+    const [oid, id] = videoId.split('_');
+    let player = null;
+
+    const getTime = () => (player ? player.getCurrentTime() : 0);
+    const isPlaying = () => !!player && player.getState() === 'playing';
+
+    const events = createStateEmitter(getTime);
+    const seekDetector = createSeekDetector({ getTime, isPlaying, onSeek: () => events.emit('seeked') });
+    const iframe = createPlayerIframe(container, `https://vk.com/video_ext.php?oid=${oid}&id=${id}&js_api=1`);
+
+    const ready = loadScript(VK_API_URL, 'VK').then(VK => new Promise(resolve => {
+        player = VK.VideoPlayer(iframe);
+
+        player.on('inited', () => {
+            seekDetector.start();
+            resolve();
+        });
+        player.on('started', () => events.emit('playing'));
+        player.on('resumed', () => events.emit('playing'));
+        player.on('paused', () => events.emit('paused'));
+        player.on('ended', () => events.emit('ended'));
+    }));
+
+    return {
+        type: 'vk',
+        element: container,
+        canAdjustRate: false,
+        ready,
+        play: () => {
+            if (player) player.play();
+            return Promise.resolve();
+        },
+        pause: () => {
+            if (player) player.pause();
+        },
+        seek: (seconds) => {
+            if (!player) return;
+            player.seek(seconds);
+            seekDetector.reset(seconds);
+        },
+        getTime,
+        getDuration: () => (player ? player.getDuration() : 0),
+        isPaused: () => !isPlaying(),
+        setPlaybackRate: () => {},
+        setVolume: (level) => {
+            if (player) player.setVolume(level);
+        },
+        onStateChange: events.subscribe,
+        destroy: () => {
+            seekDetector.stop();
+            if (player && player.destroy) player.destroy();
+            player = null;
+            container.innerHTML = '';
+        }
+    };
+}
+
+/**
+ * Создает адаптер для RuTube через postMessage API встраиваемого плеера
+ * @param {HTMLElement} container - Контейнер плеера
+ * @param {string} videoId - ID видео RuTube
+ * @returns {Object} Адаптер плеера
+ */
+function createRuTubeAdapter(container, videoId) {
+    let currentTime = 0;
+    let duration = 0;
+    let state = 'paused';
+    let resolveReady = null;
+
+    const events = createStateEmitter(() => currentTime);
+    const seekDetector = createSeekDetector({
+        getTime: () => currentTime,
+        isPlaying: () => state === 'playing',
+        onSeek: () => events.emit('seeked')
+    });
+    const iframe = createPlayerIframe(container, `https://rutube.ru/play/embed/${videoId}`);
+
+    const send = (type, data = {}) => {
+        if (iframe.contentWindow) {
+            iframe.contentWindow.postMessage(JSON.stringify({ type, data }), '*');
+        }
+    };
+
+    const onMessage = (event) => {
+        if (event.source !== iframe.contentWindow) return;
+
+        let message;
+        try {
+            message = typeof event.data === 'string' ? JSON.parse(event.data) : event.data;
+        } catch (error) {
+            return;
+        }
+        if (!message || !message.type) return;
+
+        const data = message.data || {};
+        switch (message.type) {
+            case 'player:ready':
+                seekDetector.start();
+                if (resolveReady) resolveReady();
+                break;
+            case 'player:currentTime':
+                currentTime = data.time;
+                break;
+            case 'player:durationChange':
+                duration = data.duration;
+                break;
+            case 'player:changeState':
+                state = data.state;
+                if (state === 'playing') events.emit('playing');
+                if (state === 'paused') events.emit('paused');
+                if (state === 'stopped' || state === 'ended') events.emit('ended');
+                break;
+        }
+    };
+
+    window.addEventListener('message', onMessage);
+
+    const ready = new Promise(resolve => {
+        resolveReady = resolve;
+    });
+
+    return {
+        type: 'rutube',
+        element: container,
+        canAdjustRate: false,
+        ready,
+        play: () => {
+            send('player:play');
+            return Promise.resolve();
+        },
+        pause: () => send('player:pause'),
+        seek: (seconds) => {
+            send('player:setCurrentTime', { time: seconds });
+            currentTime = seconds;
+            seekDetector.reset(seconds);
+        },
+        getTime: () => currentTime,
+        getDuration: () => duration,
+        isPaused: () => state !== 'playing',
+        setPlaybackRate: () => {},
+        setVolume: (level) => send('player:setVolume', { volume: level }),
+        onStateChange: events.subscribe,
+        destroy: () => {
+            seekDetector.stop();
+            window.removeEventListener('message', onMessage);
+            container.innerHTML = '';
+        }
+    };
+}
+
+/**
+ * Извлекает ID видео из ссылки на поддерживаемый сервис
+ * @param {string} type - Тип видео из getVideoType
+ * @param {string} url - Ссылка на видео
+ * @returns {string|null} ID видео или null
+ */
+function extractVideoId(type, url) {
+    const patterns = {
+        youtube: [
+            /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/|youtube\.com\/shorts\/)([^&?\n/]+)/,
+            /youtube\.com\/v\/([^&\n]+)/,
+            /youtube\.com\/watch\?.*v=([^&]+)/
+        ],
+        vimeo: [/vimeo\.com\/(?:video\/)?(\d+)/],
+        vk: [/(?:vk\.com|vkvideo\.ru)\/video(-?\d+_\d+)/],
+        rutube: [/rutube\.ru\/video\/([a-zA-Z0-9]+)/]
+    };
+
+    for (const pattern of patterns[type] || []) {
+        const match = url.match(pattern);
+        if (match && match[1]) return match[1];
+    }
+    return null;
+}
+
+/**
+ * Создает подходящий адаптер для ссылки на видео
+ * @param {string} url - Ссылка на видео
+ * @param {Object} elements - Элементы страницы: { video, youtube, vimeo, vk, rutube }
+ * @returns {Object} Адаптер плеера
+ * @throws {Error} Если ссылка не распознана
+ */
+function createPlayerAdapter(url, elements) {
+    const type = getVideoType(url);
+
+    switch (type) {
+        case 'youtube':
+        case 'vimeo':
+        case 'vk':
+        case 'rutube': {
+            const videoId = extractVideoId(type, url);
+            if (!videoId) {
+                throw new Error(`Неверная ссылка ${type === 'vk' ? 'VK' : type}`);
+            }
+
+            const factories = {
+                youtube: createYouTubeAdapter,
+                vimeo: createVimeoAdapter,
+                vk: createVKAdapter,
+                rutube: createRuTubeAdapter
+            };
+            return factories[type](elements[type], videoId);
+        }
+        case 'hls':
+            return createHlsAdapter(elements.video, url);
+        default:
+            // Неизвестные ссылки пробуем открыть как обычный видеофайл
+            return createHtml5Adapter(elements.video, url);
+    }
+}
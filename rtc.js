@@ -0,0 +1,175 @@
+// WebRTC-соединения между участниками комнаты WatchParty
+
+/*
+ * Медиа идёт напрямую между браузерами, а SDP и ICE-кандидаты пересылаются
+ * через Socket.IO событием rtc-signal. Сервер только проверяет, что оба
+ * сокета находятся в одной комнате, и передаёт сообщение адресату.
+ *
+ * Сообщения сигнализации: { channel, type, to/from, sdp?, candidate? },
+ * type: request | offer | answer | candidate | fallback.
+ * channel разделяет независимые наборы соединений (демонстрация экрана,
+ * голосовой чат), которые работают через один и тот же сокет.
+ */
+
+/**
+ * STUN по умолчанию; TURN-серверы задаются на сервере через ICE_SERVERS
+ */
+const DEFAULT_ICE_SERVERS = [{ urls: 'stun:stun.l.google.com:19302' }];
+
+/**
+ * Сколько ждать установления соединения, прежде чем считать его неудачным (мс)
+ */
+const PEER_CONNECT_TIMEOUT = 10000;
+
+/**
+ * Проверяет поддержку RTCPeerConnection
+ * @returns {boolean} true если WebRTC доступен
+ */
+function isPeerConnectionSupported() {
+    return typeof RTCPeerConnection !== 'undefined';
+}
+
+/**
+ * Загружает с сервера список ICE-серверов
+ * @returns {Promise<Array>} Настройки iceServers для RTCPeerConnection
+ */
+async function loadIceServers() {
+    if (loadIceServers.cache) return loadIceServers.cache;
+
+    try {
+        const response = await fetch('/api/rtc-config');
+        const data = await response.json();
+        loadIceServers.cache = data.success && data.iceServers ? data.iceServers : DEFAULT_ICE_SERVERS;
+    } catch (error) {
+        console.warn('⚠️ Не удалось получить ICE-серверы, используем STUN по умолчанию:', error);
+        loadIceServers.cache = DEFAULT_ICE_SERVERS;
+    }
+    return loadIceServers.cache;
+}
+
+/**
+ * Создает набор WebRTC-соединений с другими участниками одного канала
+ * @param {Object} options - Настройки
+ * @param {string} options.channel - Канал сигнализации (screen, voice)
+ * @param {Array} options.iceServers - ICE-серверы
+ * @param {Function} options.sendSignal - Отправляет сообщение сигнализации (message)
+ * @param {Function} [options.getLocalStream] - Поток, который отдаём собеседникам
+ * @param {Function} [options.onTrack] - Получен удалённый поток (peerId, stream)
+ * @param {Function} [options.onPeerFailed] - Соединение не установилось или разорвалось (peerId)
+ * @returns {Object} { connect, handleSignal, remove, has, close }
+ */
+function createPeerMesh({ channel, iceServers, sendSignal, getLocalStream, onTrack, onPeerFailed }) {
+    const peers = new Map();
+
+    function send(to, message) {
+        sendSignal({ channel, to, ...message });
+    }
+
+    function createPeer(peerId) {
+        const pc = new RTCPeerConnection({ iceServers: iceServers || DEFAULT_ICE_SERVERS });
+        // Кандидаты могут прийти раньше, чем удалённое описание сессии
+        const pendingCandidates = [];
+        const peer = { pc, pendingCandidates, timeout: null };
+        peers.set(peerId, peer);
+
+        const stream = getLocalStream && getLocalStream();
+        if (stream) {
+            stream.getTracks().forEach(track => pc.addTrack(track, stream));
+        }
+
+        pc.onicecandidate = (event) => {
+            if (event.candidate) {
+                send(peerId, { type: 'candidate', candidate: event.candidate.toJSON() });
+            }
+        };
+
+        pc.ontrack = (event) => {
+            if (onTrack) onTrack(peerId, event.streams[0] || new MediaStream([event.track]));
+        };
+
+        pc.onconnectionstatechange = () => {
+            if (pc.connectionState === 'connected') {
+                clearTimeout(peer.timeout);
+            } else if (pc.connectionState === 'failed') {
+                fail(peerId);
+            }
+        };
+
+        peer.timeout = setTimeout(() => {
+            if (pc.connectionState !== 'connected') fail(peerId);
+        }, PEER_CONNECT_TIMEOUT);
+
+        return peer;
+    }
+
+    function fail(peerId) {
+        if (!peers.has(peerId)) return;
+        remove(peerId);
+        if (onPeerFailed) onPeerFailed(peerId);
+    }
+
+    async function flushCandidates(peer) {
+        while (peer.pendingCandidates.length > 0) {
+            await peer.pc.addIceCandidate(peer.pendingCandidates.shift());
+        }
+    }
+
+    // Инициатор соединения отправляет offer
+    async function connect(peerId) {
+        remove(peerId);
+        const peer = createPeer(peerId);
+        const offer = await peer.pc.createOffer();
+        await peer.pc.setLocalDescription(offer);
+        send(peerId, { type: 'offer', sdp: peer.pc.localDescription.toJSON() });
+    }
+
+    async function handleSignal(message) {
+        const peerId = message.from;
+
+        try {
+            if (message.type === 'offer') {
+                remove(peerId);
+                const peer = createPeer(peerId);
+                await peer.pc.setRemoteDescription(message.sdp);
+                await flushCandidates(peer);
+                const answer = await peer.pc.createAnswer();
+                await peer.pc.setLocalDescription(answer);
+                send(peerId, { type: 'answer', sdp: peer.pc.localDescription.toJSON() });
+                return;
+            }
+
+            const peer = peers.get(peerId);
+            if (!peer) return;
+
+            if (message.type === 'answer') {
+                await peer.pc.setRemoteDescription(message.sdp);
+                await flushCandidates(peer);
+            } else if (message.type === 'candidate' && message.candidate) {
+                if (peer.pc.remoteDescription) {
+                    await peer.pc.addIceCandidate(message.candidate);
+                } else {
+                    peer.pendingCandidates.push(message.candidate);
+                }
+            }
+        } catch (error) {
+            console.error(`❌ Ошибка WebRTC (${channel}):`, error);
+            fail(peerId);
+        }
+    }
+
+    function remove(peerId) {
+        const peer = peers.get(peerId);
+        if (!peer) return;
+        clearTimeout(peer.timeout);
+        peer.pc.close();
+        peers.delete(peerId);
+    }
+
+    return {
+        connect,
+        handleSignal,
+        remove,
+        has: (peerId) => peers.has(peerId),
+        close: () => Array.from(peers.keys()).forEach(remove)
+    };
+}
@@ -65,7 +65,7 @@ function isValidUrl(string) {
 /**
  * Определяет тип видео по URL
  * @param {string} url - URL видео
- * @returns {string} Тип видео (youtube, vimeo, hls, direct)
+ * @returns {string} Тип видео (youtube, vimeo, vk, rutube, hls, direct, unknown)
  */
 function getVideoType(url) {
     if (!url) return 'unknown';
@@ -74,9 +74,13 @@ function getVideoType(url) {
         return 'youtube';
     } else if (url.includes('vimeo.com')) {
         return 'vimeo';
+    } else if (url.includes('vk.com/video') || url.includes('vkvideo.ru/video')) {
+        return 'vk';
+    } else if (url.includes('rutube.ru/video')) {
+        return 'rutube';
     } else if (url.includes('.m3u8')) {
         return 'hls';
-    } else if (url.match(/\.(mp4|webm|ogg|avi|mkv|mov)$/i)) {
+    } else if (url.match(/\.(mp4|webm|ogg|avi|mkv|mov)([?#]|$)/i)) {
         return 'direct';
     } else {
         return 'unknown';
@@ -313,6 +317,74 @@ function generateId(length = 8) {
     return result;
 }
 
+/**
+ * Куда вернуть пользователя после входа: страница из параметра ?next
+ * (например, ссылка-приглашение), если она ведёт на этот же сайт
+ * @returns {string} Путь для перехода
+ */
+function getReturnUrl() {
+    const next = new URLSearchParams(window.location.search).get('next');
+    if (next && next.startsWith('/') && !next.startsWith('//') && !next.startsWith('/\\')) {
+        return next;
+    }
+    return '/dashboard';
+}
+
+/**
+ * Сохраняет ?next в ссылках между входом и регистрацией
+ */
+function keepReturnUrlInLinks() {
+    const next = new URLSearchParams(window.location.search).get('next');
+    if (!next) return;
+    document.querySelectorAll('a[href="/login"], a[href="/register"]').forEach(link => {
+        link.href = `${link.getAttribute('href')}?next=${encodeURIComponent(next)}`;
+    });
+}
+
+// Причины, по которым сервер вернул на страницу входа с ?error=
+const PROVIDER_LOGIN_ERRORS = {
+    OIDC_DISABLED: 'Вход через внешнего провайдера не настроен',
+    OIDC_CANCELLED: 'Вход через провайдера отменён',
+    OIDC_FAILED: 'Не удалось войти через провайдера. Попробуйте ещё раз',
+    OIDC_NO_EMAIL: 'Провайдер не передал email, войти с этим аккаунтом нельзя',
+    OIDC_EMAIL_NOT_VERIFIED: 'Аккаунт с этим email уже есть, но провайдер не подтвердил адрес. Войдите с паролем',
+    OIDC_ACCOUNT_NOT_VERIFIED: 'Аккаунт с этим email уже есть, но адрес в нём не подтверждён. Войдите с паролем и подтвердите email в профиле',
+    OIDC_ALREADY_LINKED: 'Аккаунт с этим email уже связан с другим пользователем провайдера'
+};
+
+/**
+ * Показывает кнопку входа через OpenID Connect, если провайдер настроен на сервере,
+ * и ошибку предыдущей попытки входа из ?error=. Отметка «Запомнить меня»
+ * на странице входа действует и на вход через провайдера.
+ */
+async function setupProviderLogin() {
+    const params = new URLSearchParams(window.location.search);
+    const error = params.get('error');
+    if (error && PROVIDER_LOGIN_ERRORS[error]) {
+        showNotification(PROVIDER_LOGIN_ERRORS[error], 'error', 6000);
+    }
+
+    try {
+        const response = await fetch('/api/auth/providers');
+        const data = await response.json();
+        if (!data.success || !data.oidc) return;
+
+        const button = document.getElementById('oidcLoginBtn');
+        const next = params.get('next');
+        button.addEventListener('click', () => {
+            const query = new URLSearchParams();
+            if (next) query.set('next', next);
+            const remember = document.getElementById('rememberMe');
+            if (remember && remember.checked) query.set('remember', '1');
+            button.href = query.toString() ? `${data.oidc.url}?${query}` : data.oidc.url;
+        });
+        document.getElementById('oidcProviderName').textContent = data.oidc.name;
+        document.getElementById('providerLogin').style.display = 'block';
+    } catch (err) {
+        console.error('Ошибка загрузки провайдеров входа:', err);
+    }
+}
+
 // Экспорт функций для использования в других файлах
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
@@ -334,6 +406,9 @@ if (typeof module !== 'undefined' && module.exports) {
         formatFileSize,
         validateEmail,
         validatePassword,
-        generateId
+        generateId,
+        getReturnUrl,
+        keepReturnUrlInLinks,
+        setupProviderLogin
     };
 }
\ No newline at end of file
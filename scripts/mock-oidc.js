@@ -0,0 +1,208 @@
+/**
+ * Локальный OpenID Connect провайдер для проверки входа через OIDC без внешних сервисов.
+ *
+ *   npm run mock-oidc
+ *   OIDC_ISSUER=http://localhost:4001 OIDC_CLIENT_ID=watchparty OIDC_CLIENT_SECRET=watchparty-secret npm start
+ *
+ * На странице входа провайдера можно указать любой email и отметить, подтверждён ли он.
+ * sub зависит только от email, так что повторный вход с тем же адресом — тот же пользователь.
+ * Всё хранится в памяти и сбрасывается при перезапуске.
+ */
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = process.env.MOCK_OIDC_PORT || 4001;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'watchparty';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'watchparty-secret';
+const CODE_TTL = 60 * 1000;
+const TOKEN_TTL = 60 * 60;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+const codes = new Map();
+const accessTokens = new Map();
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(data));
+}
+
+function redirect(res, url) {
+  res.writeHead(302, { Location: url });
+  res.end();
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(new URLSearchParams(Buffer.concat(chunks).toString('utf8'))));
+    req.on('error', reject);
+  });
+}
+
+function signJwt(claims) {
+  const header = Buffer.from(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: KEY_ID })).toString('base64url');
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), privateKey).toString('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+// Учётные данные клиента: client_secret_basic или client_secret_post
+function getClientCredentials(req, body) {
+  const auth = req.headers.authorization || '';
+  if (auth.startsWith('Basic ')) {
+    const [id, secret] = Buffer.from(auth.slice(6), 'base64').toString('utf8').split(':');
+    return { id: decodeURIComponent(id), secret: decodeURIComponent(secret || '') };
+  }
+  return { id: body.get('client_id'), secret: body.get('client_secret') };
+}
+
+function renderLoginPage(params) {
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(params.get(name) || '')}">`)
+    .join('\n');
+  return `<!DOCTYPE html>
+<html lang="ru">
+<head><meta charset="UTF-8"><title>Mock OIDC</title></head>
+<body style="font-family: sans-serif; max-width: 360px; margin: 60px auto;">
+  <h2>Mock OIDC — вход</h2>
+  <form method="POST" action="/authorize">
+    ${hidden}
+    <p><label>Email<br><input type="email" name="email" value="oidc-user@example.com" required></label></p>
+    <p><label>Имя<br><input type="text" name="name" value="OIDC User"></label></p>
+    <p><label><input type="checkbox" name="email_verified" value="true" checked> Email подтверждён</label></p>
+    <button type="submit" name="action" value="allow">Войти</button>
+    <button type="submit" name="action" value="deny">Отказать</button>
+  </form>
+</body>
+</html>`;
+}
+
+async function handleAuthorize(req, res, url) {
+  const params = req.method === 'POST' ? await readBody(req) : url.searchParams;
+  const redirectUri = params.get('redirect_uri');
+  if (params.get('client_id') !== CLIENT_ID || !redirectUri) {
+    return sendJson(res, 400, { error: 'invalid_request' });
+  }
+  if (req.method === 'GET') {
+    if (params.get('response_type') !== 'code') {
+      return sendJson(res, 400, { error: 'unsupported_response_type' });
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    return res.end(renderLoginPage(params));
+  }
+
+  const target = new URL(redirectUri);
+  if (params.get('state')) target.searchParams.set('state', params.get('state'));
+  if (params.get('action') === 'deny') {
+    target.searchParams.set('error', 'access_denied');
+    return redirect(res, target.toString());
+  }
+
+  const email = (params.get('email') || '').trim();
+  const code = crypto.randomBytes(16).toString('base64url');
+  codes.set(code, {
+    redirectUri,
+    nonce: params.get('nonce'),
+    codeChallenge: params.get('code_challenge'),
+    expiresAt: Date.now() + CODE_TTL,
+    user: {
+      sub: crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 24),
+      email,
+      email_verified: params.get('email_verified') === 'true',
+      name: params.get('name') || email
+    }
+  });
+  target.searchParams.set('code', code);
+  redirect(res, target.toString());
+}
+
+async function handleToken(req, res) {
+  const body = await readBody(req);
+  const client = getClientCredentials(req, body);
+  if (client.id !== CLIENT_ID || client.secret !== CLIENT_SECRET) {
+    return sendJson(res, 401, { error: 'invalid_client' });
+  }
+
+  const grant = codes.get(body.get('code'));
+  codes.delete(body.get('code'));
+  if (body.get('grant_type') !== 'authorization_code' || !grant || grant.expiresAt < Date.now() ||
+      grant.redirectUri !== body.get('redirect_uri')) {
+    return sendJson(res, 400, { error: 'invalid_grant' });
+  }
+  if (grant.codeChallenge) {
+    const challenge = crypto.createHash('sha256').update(body.get('code_verifier') || '').digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+      return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const accessToken = crypto.randomBytes(24).toString('base64url');
+  accessTokens.set(accessToken, grant.user);
+  sendJson(res, 200, {
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: TOKEN_TTL,
+    id_token: signJwt({
+      iss: ISSUER,
+      aud: CLIENT_ID,
+      iat: now,
+      exp: now + TOKEN_TTL,
+      nonce: grant.nonce || undefined,
+      ...grant.user
+    })
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+  try {
+    if (url.pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        userinfo_endpoint: `${ISSUER}/userinfo`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+        code_challenge_methods_supported: ['S256'],
+        scopes_supported: ['openid', 'email', 'profile']
+      });
+    }
+    if (url.pathname === '/jwks') {
+      return sendJson(res, 200, {
+        keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }]
+      });
+    }
+    if (url.pathname === '/authorize') {
+      return await handleAuthorize(req, res, url);
+    }
+    if (url.pathname === '/token' && req.method === 'POST') {
+      return await handleToken(req, res);
+    }
+    if (url.pathname === '/userinfo') {
+      const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+      const user = accessTokens.get(token);
+      return user ? sendJson(res, 200, user) : sendJson(res, 401, { error: 'invalid_token' });
+    }
+    sendJson(res, 404, { error: 'not_found' });
+  } catch (error) {
+    console.error('❌ Ошибка mock OIDC:', error);
+    sendJson(res, 500, { error: 'server_error' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`🔐 Mock OIDC провайдер: ${ISSUER}`);
+  console.log(`   client_id: ${CLIENT_ID}, client_secret: ${CLIENT_SECRET}`);
+});
@@ -8,6 +8,75 @@ const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const bcrypt = require('bcryptjs');
 const cors = require('cors');
+const { createStorage } = require('./storage');
+const { createCluster, ReplicatedMap } = require('./cluster');
+const { seed } = require('./storage/seed');
+const {
+  ROLES,
+  PERMISSION_ERRORS,
+  DEFAULT_PERMISSIONS,
+  getRole,
+  hasRole,
+  getPermissions,
+  can,
+  normalizePermissions
+} = require('./lib/permissions');
+const { DEFAULT_RETENTION, getRetention, normalizeRetention, applyRetention } = require('./lib/retention');
+const {
+  createModeration,
+  MAX_MUTE_DURATION,
+  getModeration,
+  isBanned,
+  getMutedUntil,
+  normalizeSlowMode,
+  normalizeBannedWords,
+  maskBannedWords,
+  addAuditEntry
+} = require('./lib/moderation');
+const { ARCHIVED_ROOM_EVENTS, parseIdleTtl, isRoomExpired } = require('./lib/lifecycle');
+const {
+  normalizeDescription,
+  normalizeCategory,
+  normalizeTags,
+  getVideoThumbnail,
+  getNowPlaying,
+  matchesRoomQuery,
+  getRoomComparator
+} = require('./lib/discovery');
+const {
+  REMINDER_LEAD,
+  SCHEDULE_KEEP_AFTER_START,
+  parseStartTime,
+  toPublicSchedule,
+  getReminderRecipients,
+  buildIcs
+} = require('./lib/schedule');
+const {
+  createJoinToken,
+  verifyJoinToken,
+  createInviteToken,
+  readInviteToken,
+  createEmailVerificationToken,
+  readEmailVerificationToken,
+  getPasswordFingerprint,
+  createPasswordResetToken,
+  readPasswordResetToken
+} = require('./lib/tokens');
+const {
+  MAX_INVITES_PER_ROOM,
+  getInviteStatus,
+  checkInvite,
+  toPublicInvite
+} = require('./lib/invites');
+const { recordWatch, getHistoryEntries, getContinueWatching } = require('./lib/history');
+const { buildAccountExport, anonymizeUserInRoom } = require('./lib/account');
+const { createZip } = require('./lib/archive');
+const { createMailer } = require('./lib/mailer');
+const { createAuthRequest, createOidcClient } = require('./lib/oidc');
+const { SESSION_MAX_AGE, startSession, touchSession, getSessionPublicId, toPublicSession } = require('./lib/sessions');
+const { validate, validateRequest } = require('./lib/validation');
+const { TokenBucketLimiter, rateLimit } = require('./lib/rate-limit');
+const { ROUTE_SCHEMAS, SOCKET_SCHEMAS, SOCKET_RATE_GROUPS } = require('./lib/schemas');
 
 const app = express();
 const server = http.createServer(app);
@@ -64,20 +133,32 @@ app.use((req, res, next) => {
   next();
 });
 
+const SESSION_SECRET = process.env.SESSION_SECRET || 'watchparty-secret-key-2023-sync-view-strong-secret';
+
+// Несколько узлов за балансировщиком работают через общий Redis (REDIS_URL).
+// Без него приложение, как и раньше, живёт в одном процессе.
+const cluster = createCluster({ redisUrl: process.env.REDIS_URL });
+
 // Настройка сессий с правильными куками для Render
-app.use(session({
-  secret: process.env.SESSION_SECRET || 'watchparty-secret-key-2023-sync-view-strong-secret',
+// Тот же middleware подключается к Socket.IO, чтобы сокеты знали пользователя по сессии.
+// В кластере сессии лежат в Redis, поэтому вход действует на любом узле.
+// Без Redis сессии хранятся в памяти процесса; ссылка на хранилище нужна, чтобы завершать сессии пользователя
+const sessionStore = cluster.sessionStore || new session.MemoryStore();
+const sessionMiddleware = session({
+  store: sessionStore,
+  secret: SESSION_SECRET,
   resave: false,
   saveUninitialized: false, // Не сохранять пустые сессии
   cookie: {
     secure: process.env.NODE_ENV === 'production',
     httpOnly: true,
-    maxAge: 24 * 60 * 60 * 1000, // 24 часа
+    maxAge: SESSION_MAX_AGE, // 24 часа, с «Запомнить меня» — 30 дней (см. startSession)
     sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
     domain: process.env.NODE_ENV === 'production' ? '.onrender.com' : undefined
   },
   name: 'watchparty.sid'
-}));
+});
+app.use(sessionMiddleware);
 
 // Middleware для отладки сессий
 app.use((req, res, next) => {
@@ -90,17 +171,46 @@ app.use((req, res, next) => {
   next();
 });
 
-// Middleware для парсинга JSON
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// На Render запросы приходят через прокси — IP клиента берём из X-Forwarded-For
+if (process.env.NODE_ENV === 'production') {
+  app.set('trust proxy', 1);
+}
+
+// Устройство, IP и последняя активность — для списка сессий в профиле
+app.use((req, res, next) => {
+  if (req.session.userId) {
+    touchSession(req.session, { userAgent: req.get('user-agent'), ip: req.ip });
+  }
+  next();
+});
+
+// ==================== ОГРАНИЧЕНИЕ ЧАСТОТЫ ====================
+
+// Лимиты считаются в памяти процесса: в кластере каждый узел ограничивает свои подключения
+const apiIpLimiter = new TokenBucketLimiter({ capacity: 120, refillPerSecond: 2 });
+const apiUserLimiter = new TokenBucketLimiter({ capacity: 120, refillPerSecond: 2 });
+// Вход и регистрация: не больше 10 попыток подряд с одного IP, затем одна в 30 секунд
+const authIpLimiter = new TokenBucketLimiter({ capacity: 10, refillPerSecond: 1 / 30 });
+// Подбор пароля к одному аккаунту с разных IP: 5 попыток, затем одна в минуту
+const loginAccountLimiter = new TokenBucketLimiter({ capacity: 5, refillPerSecond: 1 / 60 });
+// Письма на один адрес: 3 подряд, затем одно в 5 минут
+const mailLimiter = new TokenBucketLimiter({ capacity: 3, refillPerSecond: 1 / 300 });
+
+app.use('/api', rateLimit(apiIpLimiter, req => req.ip));
+app.use('/api', rateLimit(apiUserLimiter, req => req.session.userId || null));
+
+// Middleware для парсинга JSON; крупные данные (аватары) идут через multer
+app.use(express.json({ limit: '100kb' }));
+app.use(express.urlencoded({ extended: true, limit: '100kb' }));
 
 // Статические файлы
-app.use(express.static(__dirname));
+// dotfiles: 'ignore' скрывает каталог .data с базой данных
+app.use(express.static(__dirname, { dotfiles: 'ignore' }));
 app.use('/uploads', express.static('uploads'));
 app.use('/assets', express.static(path.join(__dirname, 'assets')));
 
 // Хранилище для аватарок
-const storage = multer.diskStorage({
+const avatarStorage = multer.diskStorage({
   destination: (req, file, cb) => {
     const dir = 'uploads/avatars';
     if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
@@ -113,7 +223,7 @@ const storage = multer.diskStorage({
 });
 
 const upload = multer({
-  storage: storage,
+  storage: avatarStorage,
   limits: { fileSize: 5 * 1024 * 1024 },
   fileFilter: (req, file, cb) => {
     const allowedTypes = /jpeg|jpg|png|gif/;
@@ -126,53 +236,43 @@ const upload = multer({
   }
 });
 
-// "База данных" в памяти
-const users = new Map();
-const rooms = new Map();
-const onlineUsers = new Map();
+// Постоянное хранилище пользователей и комнат (STORAGE_DRIVER: json | memory | redis).
+// В кластере изменения записей рассылаются остальным узлам через шину.
+const storage = createStorage({
+  driver: process.env.STORAGE_DRIVER || (cluster.redis ? 'redis' : 'json'),
+  file: process.env.DATA_FILE,
+  redisClient: cluster.redis,
+  bus: cluster.redis ? cluster.bus : null,
+  nodeId: cluster.nodeId
+});
+const users = storage.collection('users');
+const rooms = storage.collection('rooms');
+const watchHistory = storage.collection('history');
+
+// Живые подключения: каждый узел владеет своими сокетами, а копии видны всем узлам,
+// чтобы rtc-signal и проверки участников работали для сокетов на соседних узлах
+const onlineUsers = new ReplicatedMap('presence', cluster.bus, cluster.nodeId);
 const screenSharers = new Map();
 
-// Функция инициализации данных
-function initData() {
-  console.log('🔧 Инициализация данных...');
-  
-  // Создаем тестового пользователя
-  const testUserId = uuidv4();
-  users.set(testUserId, {
-    id: testUserId,
-    username: 'Демо Пользователь',
-    email: 'demo@watchparty.com',
-    password: bcrypt.hashSync('demo123', 10),
-    avatar: '/assets/default-avatar.png',
-    createdAt: new Date().toISOString(),
-    rooms: []
-  });
-
-  // Создаем демо комнату
-  const demoRoomId = uuidv4().substring(0, 8);
-  rooms.set(demoRoomId, {
-    id: demoRoomId,
-    name: '🎬 Демо комната для всех',
-    host: 'Демо Пользователь',
-    hostId: testUserId,
-    videoUrl: '',
-    isPrivate: false,
-    password: null,
-    createdAt: new Date().toISOString(),
-    participants: [],
-    messages: [],
-    isPlaying: false,
-    currentTime: 0,
-    lastUpdate: Date.now(),
-    screenSharer: null
+// Сколько ждать ответов других узлов со списком их сокетов при старте (мс)
+const PRESENCE_SYNC_DELAY = 1000;
+
+// Участники, чьих сокетов нет ни на одном узле, остались от остановленного процесса — убираем их
+function pruneRoomPresence() {
+  rooms.forEach(room => {
+    const participants = room.participants.filter(p => onlineUsers.has(p.socketId));
+    const sharerOnline = room.screenSharer && onlineUsers.has(room.screenSharer.socketId);
+
+    if (participants.length !== room.participants.length || (room.screenSharer && !sharerOnline)) {
+      // Простой комнаты отсчитывается с момента, когда из неё ушли
+      if (participants.length !== room.participants.length) room.lastActivityAt = new Date().toISOString();
+      room.participants = participants;
+      if (!sharerOnline) room.screenSharer = null;
+      rooms.set(room.id, room);
+    }
   });
-  
-  console.log('✅ Данные инициализированы');
 }
 
-// Инициализация данных
-initData();
-
 // Health check для Render (обязательно!)
 app.get('/health', (req, res) => {
   res.status(200).json({ 
@@ -198,14 +298,23 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'index.html'));
 });
 
+// Адрес возврата после входа принимаем только в пределах сайта
+function getReturnUrl(req) {
+  const next = req.query.next;
+  if (typeof next === 'string' && next.startsWith('/') && !next.startsWith('//') && !next.startsWith('/\\')) {
+    return next;
+  }
+  return '/dashboard';
+}
+
 // СТРАНИЦА ВХОДА
 app.get('/login', (req, res) => {
   console.log('📄 Страница входа - запрос');
   
-  // Если уже авторизован, перенаправляем в дашборд
+  // Если уже авторизован, перенаправляем в дашборд или на страницу из ?next
   if (req.session.userId) {
     console.log('👤 Пользователь уже авторизован, перенаправляем в дашборд');
-    return res.redirect('/dashboard');
+    return res.redirect(getReturnUrl(req));
   }
   
   res.sendFile(path.join(__dirname, 'login.html'));
@@ -215,10 +324,10 @@ app.get('/login', (req, res) => {
 app.get('/register', (req, res) => {
   console.log('📄 Страница регистрации - запрос');
   
-  // Если уже авторизован, перенаправляем в дашборд
+  // Если уже авторизован, перенаправляем в дашборд или на страницу из ?next
   if (req.session.userId) {
     console.log('👤 Пользователь уже авторизован, перенаправляем в дашборд');
-    return res.redirect('/dashboard');
+    return res.redirect(getReturnUrl(req));
   }
   
   res.sendFile(path.join(__dirname, 'register.html'));
@@ -250,8 +359,8 @@ const requireAuth = (req, res, next) => {
       });
     }
     
-    // Для HTML перенаправляем на логин
-    return res.redirect('/login');
+    // Для HTML перенаправляем на логин, после входа вернём на запрошенную страницу
+    return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
   }
   
   next();
@@ -268,18 +377,29 @@ app.get('/profile', requireAuth, (req, res) => {
   res.sendFile(path.join(__dirname, 'profile.html'));
 });
 
-app.get('/room/:id', requireAuth, (req, res) => {
+app.get('/room/:id', requireAuth, validateRequest(ROUTE_SCHEMAS.room), (req, res) => {
   console.log('📄 Комната:', req.params.id, 'для пользователя:', req.session.username);
   res.sendFile(path.join(__dirname, 'room.html'));
 });
 
 // ==================== API МАРШРУТЫ ====================
 
+// Email хранится без пробелов по краям и в нижнем регистре, поиск — по такому же виду
+function normalizeEmail(email) {
+  return email.trim().toLowerCase();
+}
+
+function findUserByEmail(email) {
+  const normalized = normalizeEmail(email);
+  return Array.from(users.values()).find(u => u.email === normalized);
+}
+
 // API регистрации
-app.post('/api/register', async (req, res) => {
+app.post('/api/register', rateLimit(authIpLimiter, req => req.ip), validateRequest(ROUTE_SCHEMAS.register), async (req, res) => {
   try {
     console.log('📝 Регистрация нового пользователя');
-    const { username, email, password } = req.body;
+    const { username, password } = req.body;
+    const email = normalizeEmail(req.body.email);
     
     if (!username || !email || !password) {
       return res.status(400).json({ 
@@ -295,7 +415,7 @@ app.post('/api/register', async (req, res) => {
       });
     }
     
-    const existingUser = Array.from(users.values()).find(u => u.email === email);
+    const existingUser = findUserByEmail(email);
     if (existingUser) {
       return res.status(400).json({ 
         success: false, 
@@ -311,17 +431,25 @@ app.post('/api/register', async (req, res) => {
       email,
       password: hashedPassword,
       avatar: '/assets/default-avatar.png',
+      emailVerified: false,
+      emailVerifiedAt: null,
+      oidc: null,
       createdAt: new Date().toISOString(),
       rooms: [],
       lastSeen: new Date().toISOString()
     };
     
     users.set(userId, user);
+    mailLimiter.take(email);
+    sendVerificationEmail(req, user).catch(error => {
+      console.error('❌ Ошибка отправки письма подтверждения:', error);
+    });
     
     // Сохраняем сессию
     req.session.userId = userId;
     req.session.username = username;
     req.session.email = email;
+    startSession(req.session, { userAgent: req.get('user-agent'), ip: req.ip });
     
     // Сохраняем сессию вручную чтобы убедиться
     req.session.save((err) => {
@@ -338,7 +466,7 @@ app.post('/api/register', async (req, res) => {
       
       // Устанавливаем куки вручную для надежности
       res.cookie('watchparty.sid', req.sessionID, {
-        maxAge: 24 * 60 * 60 * 1000,
+        maxAge: req.session.cookie.maxAge,
         httpOnly: true,
         secure: process.env.NODE_ENV === 'production',
         sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax'
@@ -367,12 +495,24 @@ app.post('/api/register', async (req, res) => {
 });
 
 // API входа
-app.post('/api/login', async (req, res) => {
+app.post('/api/login', rateLimit(authIpLimiter, req => req.ip), validateRequest(ROUTE_SCHEMAS.login), async (req, res) => {
   try {
     console.log('🔑 Вход пользователя');
-    const { email, password } = req.body;
+    const { email, password, remember = false } = req.body;
+    
+    const accountKey = normalizeEmail(email);
+    const attempt = loginAccountLimiter.take(accountKey);
+    if (!attempt.allowed) {
+      res.set('Retry-After', String(attempt.retryAfter));
+      return res.status(429).json({
+        success: false,
+        code: 'RATE_LIMITED',
+        error: `Слишком много попыток входа. Повторите через ${attempt.retryAfter} с`,
+        retryAfter: attempt.retryAfter
+      });
+    }
     
-    const user = Array.from(users.values()).find(u => u.email === email);
+    const user = findUserByEmail(email);
     if (!user) {
       console.log('❌ Пользователь не найден:', email);
       return res.status(401).json({ 
@@ -381,7 +521,8 @@ app.post('/api/login', async (req, res) => {
       });
     }
     
-    const validPassword = await bcrypt.compare(password, user.password);
+    // У аккаунтов, созданных входом через OpenID Connect, пароля нет
+    const validPassword = !!user.password && await bcrypt.compare(password, user.password);
     if (!validPassword) {
       console.log('❌ Неверный пароль для:', email);
       return res.status(401).json({ 
@@ -390,6 +531,7 @@ app.post('/api/login', async (req, res) => {
       });
     }
     
+    loginAccountLimiter.reset(accountKey);
     user.lastSeen = new Date().toISOString();
     users.set(user.id, user);
     
@@ -397,6 +539,7 @@ app.post('/api/login', async (req, res) => {
     req.session.userId = user.id;
     req.session.username = user.username;
     req.session.email = user.email;
+    startSession(req.session, { userAgent: req.get('user-agent'), ip: req.ip, remember });
     
     req.session.save((err) => {
       if (err) {
@@ -412,7 +555,7 @@ app.post('/api/login', async (req, res) => {
       
       // Устанавливаем куки вручную для надежности
       res.cookie('watchparty.sid', req.sessionID, {
-        maxAge: 24 * 60 * 60 * 1000,
+        maxAge: req.session.cookie.maxAge,
         httpOnly: true,
         secure: process.env.NODE_ENV === 'production',
         sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax'
@@ -501,7 +644,7 @@ app.get('/api/user', (req, res) => {
 });
 
 // Остальные API маршруты остаются как были
-app.post('/api/update-profile', requireAuth, upload.single('avatar'), async (req, res) => {
+app.post('/api/update-profile', requireAuth, upload.single('avatar'), validateRequest(ROUTE_SCHEMAS.updateProfile), async (req, res) => {
   try {
     const userId = req.session.userId;
     const user = users.get(userId);
@@ -530,230 +673,2735 @@ app.post('/api/update-profile', requireAuth, upload.single('avatar'), async (req
   }
 });
 
-app.post('/api/create-room', requireAuth, (req, res) => {
+// ==================== АККАУНТ ====================
+
+const DEFAULT_AVATAR = '/assets/default-avatar.png';
+
+// Сессии пользователя во всех вкладках и на всех устройствах.
+// MemoryStore отдаёт словарь { sid: сессия }, connect-redis — массив сессий с полем id.
+function findUserSessions(userId) {
+  return new Promise((resolve, reject) => {
+    sessionStore.all((err, sessions) => {
+      if (err) return reject(err);
+      const entries = Array.isArray(sessions)
+        ? sessions.map(data => [data.id, data])
+        : Object.entries(sessions || {});
+      resolve(entries
+        .filter(([, data]) => data && data.userId === userId)
+        .map(([id, data]) => ({ id, data })));
+    });
+  });
+}
+
+function destroySession(sessionId) {
+  return new Promise((resolve, reject) => {
+    sessionStore.destroy(sessionId, err => (err ? reject(err) : resolve()));
+  });
+}
+
+// Завершает сессию. Её сокеты на всех узлах получают причину и отключаются;
+// переподключиться без сессии они не смогут
+async function endSession(sessionId, { reason, message }) {
+  await destroySession(sessionId);
+  const channel = getSessionChannel(sessionId);
+  io.to(channel).emit('session-ended', { reason, message });
+  io.in(channel).disconnectSockets(true);
+}
+
+// Завершает сессии пользователя, кроме exceptSessionId
+async function endUserSessions(userId, { exceptSessionId = null, reason, message }) {
+  const sessions = (await findUserSessions(userId)).filter(({ id }) => id !== exceptSessionId);
+  await Promise.all(sessions.map(({ id }) => endSession(id, { reason, message })));
+  return sessions.length;
+}
+
+// Проверка пароля в настройках аккаунта делит лимит попыток со входом
+function takePasswordAttempt(res, email) {
+  const attempt = loginAccountLimiter.take(normalizeEmail(email));
+  if (attempt.allowed) return true;
+  res.set('Retry-After', String(attempt.retryAfter));
+  res.status(429).json({
+    success: false,
+    code: 'RATE_LIMITED',
+    error: `Слишком много попыток. Повторите через ${attempt.retryAfter} с`,
+    retryAfter: attempt.retryAfter
+  });
+  return false;
+}
+
+app.get('/api/account/export', requireAuth, (req, res) => {
+  try {
+    const user = users.get(req.session.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'Пользователь не найден' });
+    }
+
+    const data = buildAccountExport(user, Array.from(rooms.values()), getHistoryEntries(watchHistory.get(user.id)));
+    const files = [{ name: 'account.json', data: JSON.stringify(data, null, 2) }];
+    const avatarPath = path.join(__dirname, user.avatar);
+    if (user.avatar !== DEFAULT_AVATAR && fs.existsSync(avatarPath)) {
+      files.push({ name: `avatar${path.extname(avatarPath)}`, data: fs.readFileSync(avatarPath) });
+    }
+
+    res.type('application/zip');
+    res.set('Content-Disposition', `attachment; filename="watchparty-account-${new Date().toISOString().slice(0, 10)}.zip"`);
+    res.send(createZip(files));
+  } catch (error) {
+    console.error('Account export error:', error);
+    res.status(500).json({ success: false, error: 'Ошибка при выгрузке данных' });
+  }
+});
+
+// Удаление аккаунта: комнаты пользователя закрываются, в чужих комнатах его следы обезличиваются,
+// история и аватар удаляются, все сессии завершаются
+app.delete('/api/account', requireAuth, validateRequest(ROUTE_SCHEMAS.deleteAccount), async (req, res) => {
+  try {
+    const user = users.get(req.session.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'Пользователь не найден' });
+    }
+
+    if (!user.password) {
+      return res.status(400).json({ success: false, code: 'PASSWORD_NOT_SET', error: PASSWORD_NOT_SET_MESSAGE });
+    }
+    if (!takePasswordAttempt(res, user.email)) return;
+    if (!await bcrypt.compare(req.body.password, user.password)) {
+      return res.status(403).json({ success: false, code: 'INVALID_PASSWORD', error: 'Неверный пароль' });
+    }
+    loginAccountLimiter.reset(normalizeEmail(user.email));
+
+    const endedSessions = await endUserSessions(user.id, { reason: 'account-deleted', message: 'Аккаунт удалён' });
+    Array.from(rooms.values()).forEach(room => {
+      if (room.hostId === user.id) {
+        closeRoom(room, 'account-deleted');
+      } else {
+        anonymizeUserInRoom(room, user.id);
+        rooms.set(room.id, room);
+      }
+    });
+
+    watchHistory.delete(user.id);
+    const avatarPath = path.join(__dirname, user.avatar);
+    if (user.avatar !== DEFAULT_AVATAR && fs.existsSync(avatarPath)) {
+      fs.unlinkSync(avatarPath);
+    }
+    users.delete(user.id);
+
+    console.log(`🗑️ Аккаунт ${user.id} удалён, завершено сессий: ${endedSessions}`);
+    res.clearCookie('watchparty.sid');
+    req.session.destroy(() => res.json({ success: true }));
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ success: false, error: 'Ошибка при удалении аккаунта' });
+  }
+});
+
+// ==================== СЕССИИ ====================
+
+const SESSION_REVOKED = { reason: 'session-revoked', message: 'Сессия завершена с другого устройства' };
+
+// Активные сессии пользователя: сначала текущая, остальные от последней активности к ранней
+app.get('/api/sessions', requireAuth, async (req, res) => {
+  try {
+    const sessions = (await findUserSessions(req.session.userId))
+      .map(({ id, data }) => toPublicSession(id, data, req.sessionID))
+      .sort((a, b) => (b.current - a.current) ||
+        (Date.parse(b.lastActivityAt || 0) - Date.parse(a.lastActivityAt || 0)));
+    res.json({ success: true, sessions });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ success: false, error: 'Ошибка при получении сессий' });
+  }
+});
+
+// Завершить все сессии, кроме текущей
+app.delete('/api/sessions', requireAuth, async (req, res) => {
+  try {
+    const endedSessions = await endUserSessions(req.session.userId, {
+      exceptSessionId: req.sessionID,
+      ...SESSION_REVOKED
+    });
+    console.log(`🚪 ${req.session.username} завершил другие сессии: ${endedSessions}`);
+    res.json({ success: true, endedSessions });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ success: false, error: 'Ошибка при завершении сессий' });
+  }
+});
+
+// Текущая сессия завершается выходом, а не отсюда
+app.delete('/api/sessions/:sessionId', requireAuth, validateRequest(ROUTE_SCHEMAS.session), async (req, res) => {
+  try {
+    const target = (await findUserSessions(req.session.userId))
+      .find(({ id }) => getSessionPublicId(id) === req.params.sessionId);
+    if (!target) {
+      return res.status(404).json({ success: false, error: 'Сессия не найдена' });
+    }
+    if (target.id === req.sessionID) {
+      return res.status(400).json({ success: false, error: 'Чтобы завершить текущую сессию, выйдите из аккаунта' });
+    }
+
+    await endSession(target.id, SESSION_REVOKED);
+    console.log(`🚪 ${req.session.username} завершил сессию ${req.params.sessionId}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ success: false, error: 'Ошибка при завершении сессии' });
+  }
+});
+
+// ==================== ПОЧТА И ПАРОЛИ ====================
+
+const MIN_PASSWORD_LENGTH = 6;
+const PASSWORD_NOT_SET_MESSAGE = 'У аккаунта нет пароля. Задайте его через восстановление пароля';
+
+const mailer = createMailer({
+  transport: process.env.MAIL_TRANSPORT,
+  dir: process.env.MAIL_DIR,
+  from: process.env.MAIL_FROM
+});
+
+// Ссылки в письмах строятся от APP_URL: заголовок Host подставляет клиент,
+// и без настройки письмо сброса пароля можно было бы отправить со ссылкой на чужой сайт
+function getAppUrl(req) {
+  return process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+function sendVerificationEmail(req, user) {
+  const token = createEmailVerificationToken(user.id, user.email, SESSION_SECRET);
+  return mailer.send({
+    to: user.email,
+    subject: 'Подтвердите email в WatchParty',
+    text: `Здравствуйте, ${user.username}!\n\n` +
+      `Чтобы подтвердить адрес, перейдите по ссылке:\n${getAppUrl(req)}/verify-email/${token}\n\n` +
+      'Ссылка действует 24 часа.'
+  });
+}
+
+function sendPasswordResetEmail(req, user) {
+  const token = createPasswordResetToken(user.id, user.password, SESSION_SECRET);
+  return mailer.send({
+    to: user.email,
+    subject: 'Сброс пароля WatchParty',
+    text: `Здравствуйте, ${user.username}!\n\n` +
+      `Чтобы задать новый пароль, перейдите по ссылке:\n${getAppUrl(req)}/reset-password?token=${token}\n\n` +
+      'Ссылка действует 1 час. Если вы не запрашивали сброс, просто проигнорируйте это письмо.'
+  });
+}
+
+// Лимит писем на адрес; при исчерпании сразу отвечает 429
+function takeMailAttempt(res, email) {
+  const attempt = mailLimiter.take(normalizeEmail(email));
+  if (attempt.allowed) return true;
+  res.set('Retry-After', String(attempt.retryAfter));
+  res.status(429).json({
+    success: false,
+    code: 'RATE_LIMITED',
+    error: `Письмо уже отправлено. Повторите через ${attempt.retryAfter} с`,
+    retryAfter: attempt.retryAfter
+  });
+  return false;
+}
+
+app.post('/api/resend-verification', requireAuth, async (req, res) => {
+  try {
+    const user = users.get(req.session.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'Пользователь не найден' });
+    }
+    if (user.emailVerified) {
+      return res.status(400).json({ success: false, error: 'Email уже подтверждён' });
+    }
+    if (!takeMailAttempt(res, user.email)) return;
+
+    await sendVerificationEmail(req, user);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ success: false, error: 'Ошибка при отправке письма' });
+  }
+});
+
+// Переход по ссылке из письма; результат показывает страница профиля по ?emailVerified=
+app.get('/verify-email/:token', validateRequest(ROUTE_SCHEMAS.token), (req, res) => {
+  const data = readEmailVerificationToken(req.params.token, SESSION_SECRET);
+  const user = data ? users.get(data.userId) : null;
+  if (!user || user.email !== data.email) {
+    return res.redirect('/profile?emailVerified=invalid');
+  }
+
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date().toISOString();
+    users.set(user.id, user);
+    console.log('✅ Email подтверждён:', user.email);
+  }
+  res.redirect('/profile?emailVerified=1');
+});
+
+// Ответ не зависит от того, есть ли такой аккаунт, чтобы форму нельзя было использовать для перебора адресов.
+// Письмо уходит без ожидания: иначе по времени ответа было бы видно, что адрес зарегистрирован
+app.post('/api/forgot-password', rateLimit(authIpLimiter, req => req.ip), validateRequest(ROUTE_SCHEMAS.email), (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!takeMailAttempt(res, email)) return;
+
+    const user = findUserByEmail(email);
+    if (user) {
+      sendPasswordResetEmail(req, user).catch(error => {
+        console.error('❌ Ошибка отправки письма сброса пароля:', error);
+      });
+    }
+    res.json({ success: true, message: 'Если аккаунт с таким email существует, мы отправили на него ссылку для сброса пароля' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ success: false, error: 'Ошибка при отправке письма' });
+  }
+});
+
+app.get('/reset-password', (req, res) => {
+  res.sendFile(path.join(__dirname, 'reset-password.html'));
+});
+
+// Сброс по ссылке из письма завершает все сессии: пароль мог быть сброшен именно из-за взлома.
+// Письмо пришло на адрес пользователя, поэтому заодно считаем его подтверждённым.
+app.post('/api/reset-password', rateLimit(authIpLimiter, req => req.ip), validateRequest(ROUTE_SCHEMAS.resetPassword), async (req, res) => {
+  try {
+    const data = readPasswordResetToken(req.body.token, SESSION_SECRET);
+    const user = data ? users.get(data.userId) : null;
+    if (!user || getPasswordFingerprint(user.password) !== data.passwordFingerprint) {
+      return res.status(400).json({ success: false, code: 'INVALID_TOKEN', error: 'Ссылка для сброса пароля недействительна или устарела' });
+    }
+    if (req.body.password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ success: false, error: `Пароль должен быть не менее ${MIN_PASSWORD_LENGTH} символов` });
+    }
+
+    user.password = await bcrypt.hash(req.body.password, 10);
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date().toISOString();
+    }
+    users.set(user.id, user);
+    loginAccountLimiter.reset(normalizeEmail(user.email));
+
+    const endedSessions = await endUserSessions(user.id, {
+      reason: 'password-reset',
+      message: 'Пароль сброшен, войдите с новым паролем'
+    });
+    console.log(`🔑 Пароль пользователя ${user.username} сброшен, завершено сессий: ${endedSessions}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ success: false, error: 'Ошибка при сбросе пароля' });
+  }
+});
+
+// Смена пароля завершает все сессии, кроме текущей
+app.post('/api/change-password', requireAuth, validateRequest(ROUTE_SCHEMAS.changePassword), async (req, res) => {
+  try {
+    const user = users.get(req.session.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'Пользователь не найден' });
+    }
+    const { currentPassword, newPassword } = req.body;
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ success: false, error: `Пароль должен быть не менее ${MIN_PASSWORD_LENGTH} символов` });
+    }
+
+    if (!user.password) {
+      return res.status(400).json({ success: false, code: 'PASSWORD_NOT_SET', error: PASSWORD_NOT_SET_MESSAGE });
+    }
+    if (!takePasswordAttempt(res, user.email)) return;
+    if (!await bcrypt.compare(currentPassword, user.password)) {
+      return res.status(403).json({ success: false, code: 'INVALID_PASSWORD', error: 'Неверный текущий пароль' });
+    }
+    loginAccountLimiter.reset(normalizeEmail(user.email));
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    users.set(user.id, user);
+    const endedSessions = await endUserSessions(user.id, {
+      exceptSessionId: req.sessionID,
+      reason: 'password-changed',
+      message: 'Пароль изменён, войдите с новым паролем'
+    });
+    res.json({ success: true, endedSessions });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ success: false, error: 'Ошибка при смене пароля' });
+  }
+});
+
+// ==================== ВХОД ЧЕРЕЗ OPENID CONNECT ====================
+
+// Провайдер включается заданием OIDC_ISSUER и OIDC_CLIENT_ID; адрес возврата —
+// ${APP_URL}/auth/oidc/callback, его нужно зарегистрировать у провайдера
+const oidcClient = createOidcClient({
+  issuer: process.env.OIDC_ISSUER,
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET,
+  scope: process.env.OIDC_SCOPE
+});
+const OIDC_PROVIDER_NAME = process.env.OIDC_PROVIDER_NAME || 'OpenID';
+
+function getOidcRedirectUri(req) {
+  return `${getAppUrl(req)}/auth/oidc/callback`;
+}
+
+/**
+ * Находит или создаёт пользователя по данным провайдера.
+ * С существующим аккаунтом вход связывается по email, только если адрес подтверждён
+ * и провайдером, и у нас: иначе чужой аккаунт можно было бы занять, указав его адрес.
+ * @param {Object} req - Запрос (для ссылки в письме подтверждения)
+ * @param {Object} claims - Проверенные claims провайдера
+ * @returns {{ user?: Object, error?: string }} Пользователь или код ошибки
+ */
+function resolveOidcUser(req, claims) {
+  const issuer = oidcClient.issuer;
+  const allUsers = Array.from(users.values());
+  const linked = allUsers.find(u => u.oidc && u.oidc.issuer === issuer && u.oidc.subject === claims.sub);
+  if (linked) return { user: linked };
+
+  const email = typeof claims.email === 'string' ? normalizeEmail(claims.email) : '';
+  if (!email) return { error: 'OIDC_NO_EMAIL' };
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+  const now = new Date().toISOString();
+  const link = { issuer, subject: claims.sub, linkedAt: now };
+
+  const existing = findUserByEmail(email);
+  if (existing) {
+    if (!emailVerified) return { error: 'OIDC_EMAIL_NOT_VERIFIED' };
+    if (!existing.emailVerified) return { error: 'OIDC_ACCOUNT_NOT_VERIFIED' };
+    if (existing.oidc && existing.oidc.issuer === issuer) return { error: 'OIDC_ALREADY_LINKED' };
+    existing.oidc = link;
+    users.set(existing.id, existing);
+    console.log(`🔗 Аккаунт ${existing.email} связан с ${OIDC_PROVIDER_NAME}`);
+    return { user: existing };
+  }
+
+  const user = {
+    id: uuidv4(),
+    username: String(claims.name || claims.preferred_username || email.split('@')[0]).slice(0, 50),
+    email,
+    password: null,
+    avatar: DEFAULT_AVATAR,
+    emailVerified,
+    emailVerifiedAt: emailVerified ? now : null,
+    oidc: link,
+    createdAt: now,
+    rooms: [],
+    lastSeen: now
+  };
+  users.set(user.id, user);
+  console.log(`✅ Пользователь ${user.username} зарегистрирован через ${OIDC_PROVIDER_NAME}`);
+  if (!emailVerified) {
+    mailLimiter.take(email);
+    sendVerificationEmail(req, user).catch(error => {
+      console.error('❌ Ошибка отправки письма подтверждения:', error);
+    });
+  }
+  return { user };
+}
+
+// Страницы входа и регистрации показывают кнопку провайдера, только если он настроен
+app.get('/api/auth/providers', (req, res) => {
+  res.json({
+    success: true,
+    oidc: oidcClient.enabled ? { name: OIDC_PROVIDER_NAME, url: '/auth/oidc' } : null
+  });
+});
+
+// Переход к провайдеру; state, nonce и PKCE-верификатор живут в сессии до возврата
+app.get('/auth/oidc', async (req, res) => {
+  if (!oidcClient.enabled) {
+    return res.redirect('/login?error=OIDC_DISABLED');
+  }
+
+  try {
+    const authRequest = createAuthRequest();
+    const url = await oidcClient.getAuthorizationUrl(authRequest, getOidcRedirectUri(req));
+    req.session.oidc = { ...authRequest, returnTo: getReturnUrl(req), remember: req.query.remember === '1' };
+    req.session.save(err => {
+      if (err) {
+        console.error('Ошибка сохранения сессии:', err);
+        return res.redirect('/login?error=OIDC_FAILED');
+      }
+      res.redirect(url);
+    });
+  } catch (error) {
+    console.error('❌ Ошибка обращения к провайдеру OIDC:', error.message);
+    res.redirect('/login?error=OIDC_FAILED');
+  }
+});
+
+app.get('/auth/oidc/callback', async (req, res) => {
+  const authRequest = req.session.oidc;
+  delete req.session.oidc;
+  const fail = code => res.redirect(`/login?error=${code}`);
+
+  if (!oidcClient.enabled || !authRequest) return fail('OIDC_FAILED');
+  if (req.query.error) {
+    console.log('❌ Провайдер OIDC отклонил вход:', req.query.error);
+    return fail('OIDC_CANCELLED');
+  }
+  if (typeof req.query.code !== 'string' || req.query.state !== authRequest.state) {
+    return fail('OIDC_FAILED');
+  }
+
+  try {
+    const claims = await oidcClient.authenticate(req.query.code, authRequest, getOidcRedirectUri(req));
+    const { user, error } = resolveOidcUser(req, claims);
+    if (error) {
+      console.log(`❌ Вход через ${OIDC_PROVIDER_NAME} отклонён (${error}):`, claims.email);
+      return fail(error);
+    }
+
+    user.lastSeen = new Date().toISOString();
+    users.set(user.id, user);
+
+    // Новая сессия вместо той, в которой начинался вход
+    req.session.regenerate(err => {
+      if (err) {
+        console.error('Ошибка сохранения сессии:', err);
+        return fail('OIDC_FAILED');
+      }
+      req.session.userId = user.id;
+      req.session.username = user.username;
+      req.session.email = user.email;
+      startSession(req.session, { userAgent: req.get('user-agent'), ip: req.ip, remember: !!authRequest.remember });
+      req.session.save(saveError => {
+        if (saveError) {
+          console.error('Ошибка сохранения сессии:', saveError);
+          return fail('OIDC_FAILED');
+        }
+        console.log(`✅ Пользователь вошел через ${OIDC_PROVIDER_NAME}:`, user.username);
+        res.redirect(authRequest.returnTo || '/dashboard');
+      });
+    });
+  } catch (error) {
+    console.error('❌ Ошибка входа через OIDC:', error.message);
+    fail('OIDC_FAILED');
+  }
+});
+
+// Карточка комнаты для списка на дашборде
+function toRoomSummary(room) {
+  return {
+    id: room.id,
+    name: room.name,
+    host: room.host,
+    hostId: room.hostId,
+    description: room.description || '',
+    category: normalizeCategory(room.category),
+    tags: room.tags || [],
+    videoUrl: room.videoUrl,
+    thumbnail: getVideoThumbnail(room.videoUrl),
+    nowPlaying: getNowPlaying(room),
+    schedule: toPublicSchedule(room.schedule),
+    isPrivate: room.isPrivate,
+    archived: !!room.archived,
+    createdAt: room.createdAt,
+    lastActivityAt: room.lastActivityAt || room.createdAt,
+    participantCount: room.participants.length,
+    screenSharer: room.screenSharer
+  };
+}
+
+app.post('/api/create-room', requireAuth, validateRequest(ROUTE_SCHEMAS.createRoom), async (req, res) => {
   try {
     const userId = req.session.userId;
-    const { roomName, videoUrl, isPrivate, password } = req.body;
+    const { roomName, videoUrl, isPrivate, password, description, category, tags, videoTitle, startTime } = req.body;
     const user = users.get(userId);
     if (!user) {
       return res.status(404).json({ error: 'Пользователь не найден' });
     }
+    if (isPrivate && (typeof password !== 'string' || password.length < 4)) {
+      return res.status(400).json({ success: false, error: 'Пароль приватной комнаты должен быть не короче 4 символов' });
+    }
     const roomId = uuidv4().substring(0, 8);
     const room = {
       id: roomId,
       name: roomName || 'Новая комната',
+      description: normalizeDescription(description),
+      category: normalizeCategory(category),
+      tags: normalizeTags(tags),
       host: user.username,
       hostId: userId,
       videoUrl: videoUrl || '',
-      isPrivate: isPrivate || false,
-      password: isPrivate ? password : null,
+      videoTitle: (videoUrl && videoTitle) || null,
+      schedule: null,
+      isPrivate: !!isPrivate,
+      passwordHash: isPrivate ? await bcrypt.hash(password, 10) : null,
       createdAt: new Date().toISOString(),
+      lastActivityAt: new Date().toISOString(),
+      permanent: false,
+      archived: false,
+      archivedAt: null,
+      accessVersion: 0,
+      invites: {},
       participants: [],
       messages: [],
       isPlaying: false,
-      currentTime: 0,
+      currentTime: (videoUrl && startTime) || 0,
       lastUpdate: Date.now(),
-      screenSharer: null
+      screenSharer: null,
+      queue: [],
+      roles: {},
+      permissions: { ...DEFAULT_PERMISSIONS },
+      retention: { ...DEFAULT_RETENTION },
+      moderation: createModeration(),
+      auditLog: []
     };
     rooms.set(roomId, room);
     user.rooms.push(roomId);
     users.set(userId, user);
-    res.json({ success: true, room: { id: roomId, name: room.name, host: room.host, videoUrl: room.videoUrl, isPrivate: room.isPrivate, createdAt: room.createdAt, participantCount: 0 } });
+    res.json({ success: true, room: toRoomSummary(room) });
   } catch (error) {
     console.error('Create room error:', error);
     res.status(500).json({ error: 'Ошибка при создании комнаты' });
   }
 });
 
-app.get('/api/rooms', requireAuth, (req, res) => {
+const ROOMS_PAGE_SIZE = 24;
+const MAX_ROOMS_PAGE_SIZE = 100;
+
+const ROOM_FILTERS = {
+  all: () => true,
+  my: (room, userId) => room.hostId === userId,
+  public: room => !room.isPrivate,
+  private: room => room.isPrivate,
+  archived: room => !!room.archived
+};
+
+// Каталог: свои комнаты пользователя и все публичные, с поиском, фильтрами, сортировкой и страницами
+app.get('/api/rooms', requireAuth, validateRequest(ROUTE_SCHEMAS.rooms), (req, res) => {
   try {
-    const userRooms = [];
-    // Получаем комнаты пользователя
-    const user = users.get(req.session.userId);
-    if (user && user.rooms) {
-      user.rooms.forEach(roomId => {
-        const room = rooms.get(roomId);
-        if (room) {
-          userRooms.push({
-            id: room.id,
-            name: room.name,
-            host: room.host,
-            videoUrl: room.videoUrl,
-            isPrivate: room.isPrivate,
-            createdAt: room.createdAt,
-            participantCount: room.participants.length,
-            screenSharer: room.screenSharer
-          });
-        }
-      });
-    }
-    // Добавляем публичные комнаты
-    rooms.forEach(room => {
-      if (!room.isPrivate && !userRooms.some(r => r.id === room.id)) {
-        userRooms.push({
-          id: room.id,
-          name: room.name,
-          host: room.host,
-          videoUrl: room.videoUrl,
-          isPrivate: room.isPrivate,
-          createdAt: room.createdAt,
-          participantCount: room.participants.length,
-          screenSharer: room.screenSharer
-        });
-      }
+    const userId = req.session.userId;
+    const user = users.get(userId);
+    const ownRooms = (user && user.rooms) || [];
+    const { filter = 'all', sort } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || ROOMS_PAGE_SIZE, 1), MAX_ROOMS_PAGE_SIZE);
+
+    const matching = Array.from(rooms.values())
+      .filter(room => !room.isPrivate || room.hostId === userId || ownRooms.includes(room.id))
+      .filter(room => ROOM_FILTERS[filter](room, userId) && matchesRoomQuery(room, req.query))
+      .sort(getRoomComparator(sort));
+    const start = (page - 1) * limit;
+
+    res.json({
+      success: true,
+      rooms: matching.slice(start, start + limit).map(toRoomSummary),
+      total: matching.length,
+      page,
+      pageSize: limit,
+      hasMore: start + limit < matching.length
     });
-    res.json({ success: true, rooms: userRooms });
   } catch (error) {
     console.error('Get rooms error:', error);
     res.status(500).json({ error: 'Ошибка при получении комнат' });
   }
 });
 
-app.get('/api/room/:id', requireAuth, (req, res) => {
+// Живые счётчики для дашборда: сокет подписывается событием watch-rooms.
+// Публичные комнаты видят все подписчики, приватную — только её хост.
+const ROOMS_LOBBY = 'lobby';
+const lastRoomStats = new Map();
+
+function getUserChannel(userId) {
+  return `user:${userId}`;
+}
+
+// Канал сокетов одной сессии: нужен, чтобы завершить сессию, не трогая остальные
+function getSessionChannel(sessionId) {
+  return `session:${sessionId}`;
+}
+
+function getRoomAudience(room) {
+  return room.isPrivate ? getUserChannel(room.hostId) : ROOMS_LOBBY;
+}
+
+// Участники обновляются часто (голос, роли), поэтому одинаковые сводки подряд не рассылаем
+function broadcastRoomStats(room) {
+  const stats = {
+    roomId: room.id,
+    participantCount: room.participants.length,
+    nowPlaying: getNowPlaying(room),
+    thumbnail: getVideoThumbnail(room.videoUrl),
+    schedule: toPublicSchedule(room.schedule)
+  };
+  const key = JSON.stringify(stats);
+  if (lastRoomStats.get(room.id) === key) return;
+  lastRoomStats.set(room.id, key);
+  io.to(getRoomAudience(room)).emit('room-stats', stats);
+}
+
+// ==================== ДОСТУП В ПРИВАТНЫЕ КОМНАТЫ ====================
+
+// Пароль проверяется один раз: POST /api/room/:id/join выдаёт подписанный пропуск,
+// по которому и REST, и join-room пускают в комнату. После входа по пропуску доступ
+// запоминается в сессии, чтобы переподключение сокета не требовало пароля снова.
+// Смена пароля увеличивает accessVersion комнаты и тем самым отзывает выданный доступ.
+function hasRoomAccess(session, room, joinToken) {
+  if (!room.isPrivate || room.hostId === session.userId) return true;
+  const accessVersion = room.accessVersion || 0;
+  // Старые сессии хранят true — это доступ, выданный до первой смены пароля
+  const granted = session.roomAccess && session.roomAccess[room.id];
+  if (granted !== undefined && (granted === true ? 0 : granted) === accessVersion) return true;
+  return verifyJoinToken(joinToken, room.id, session.userId, SESSION_SECRET, accessVersion);
+}
+
+function grantRoomAccess(session, room) {
+  session.roomAccess = { ...session.roomAccess, [room.id]: room.accessVersion || 0 };
+}
+
+// Комната без секретов для отправки клиенту
+// История чата отдаётся постранично через /api/room/:id/messages, журнал модерации и приглашения — только хосту
+function toPublicRoom(room) {
+  const { passwordHash, messages, moderation, auditLog, schedule, invites, ...publicRoom } = room;
+  return { ...publicRoom, schedule: toPublicSchedule(schedule) };
+}
+
+app.post('/api/room/:id/join', requireAuth, validateRequest(ROUTE_SCHEMAS.joinRoom), async (req, res) => {
   try {
-    const roomId = req.params.id;
-    const room = rooms.get(roomId);
+    const room = rooms.get(req.params.id);
     if (!room) {
-      return res.status(404).json({ error: 'Комната не найдена' });
+      return res.status(404).json({ success: false, error: 'Комната не найдена' });
+    }
+
+    const userId = req.session.userId;
+    if (isBanned(room, userId)) {
+      return res.status(403).json({ success: false, code: 'BANNED', error: 'Вы заблокированы в этой комнате' });
     }
-    // Проверка пароля для приватных комнат
-    if (room.isPrivate && room.hostId !== req.session.userId) {
-      const providedPassword = req.query.password;
-      if (!providedPassword || providedPassword !== room.password) {
-        return res.status(403).json({ error: 'Неверный пароль или доступ запрещен' });
+    if (!hasRoomAccess(req.session, room)) {
+      const { password } = req.body;
+      const validPassword = typeof password === 'string' && !!room.passwordHash &&
+        await bcrypt.compare(password, room.passwordHash);
+      if (!validPassword) {
+        return res.status(403).json({ success: false, code: 'INVALID_PASSWORD', error: 'Неверный пароль' });
       }
     }
-    res.json({ success: true, room });
+
+    const { token, expiresAt } = createJoinToken(room.id, userId, SESSION_SECRET, room.accessVersion || 0);
+    res.json({ success: true, joinToken: token, expiresAt });
+  } catch (error) {
+    console.error('Join room error:', error);
+    res.status(500).json({ success: false, error: 'Ошибка при входе в комнату' });
+  }
+});
+
+app.get('/api/room/:id', requireAuth, validateRequest(ROUTE_SCHEMAS.room), (req, res) => {
+  try {
+    const roomId = req.params.id;
+    const room = rooms.get(roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Комната не найдена' });
+    }
+    if (isBanned(room, req.session.userId)) {
+      return res.status(403).json({ success: false, code: 'BANNED', error: 'Вы заблокированы в этой комнате' });
+    }
+    // Приватная комната открывается только по пропуску (см. /api/room/:id/join)
+    if (!hasRoomAccess(req.session, room, req.get('X-Join-Token'))) {
+      return res.status(403).json({ success: false, code: 'PASSWORD_REQUIRED', error: 'Комната защищена паролем' });
+    }
+    res.json({ success: true, room: toPublicRoom(room) });
   } catch (error) {
     console.error('Get room error:', error);
     res.status(500).json({ error: 'Ошибка при получении комнаты' });
   }
 });
 
+const MESSAGES_PAGE_SIZE = 50;
+const MAX_MESSAGES_PAGE_SIZE = 100;
+
+// Фильтр поиска по истории: текст, автор (имя или ID) и интервал дат
+function createMessageFilter({ q, author, from, to }) {
+  const text = typeof q === 'string' ? q.trim().toLowerCase() : '';
+  const authorQuery = typeof author === 'string' ? author.trim().toLowerCase() : '';
+  const fromTime = from ? Date.parse(from) : NaN;
+  const toTime = to ? Date.parse(to) : NaN;
+
+  if (!text && !authorQuery && isNaN(fromTime) && isNaN(toTime)) return null;
+
+  return (message) => {
+    if (message.deleted) return false;
+    if (text && !message.message.toLowerCase().includes(text)) return false;
+    if (authorQuery && message.userId !== authorQuery && !message.username.toLowerCase().includes(authorQuery)) return false;
+    const time = Date.parse(message.timestamp);
+    if (!isNaN(fromTime) && time < fromTime) return false;
+    if (!isNaN(toTime) && time > toTime) return false;
+    return true;
+  };
+}
+
+// История чата страницами от новых к старым: курсор before — ID самого старого
+// уже загруженного сообщения. Страница возвращается в хронологическом порядке.
+app.get('/api/room/:id/messages', requireAuth, validateRequest(ROUTE_SCHEMAS.messages), (req, res) => {
+  try {
+    const room = rooms.get(req.params.id);
+    if (!room) {
+      return res.status(404).json({ error: 'Комната не найдена' });
+    }
+    if (isBanned(room, req.session.userId)) {
+      return res.status(403).json({ success: false, code: 'BANNED', error: 'Вы заблокированы в этой комнате' });
+    }
+    if (!hasRoomAccess(req.session, room, req.get('X-Join-Token'))) {
+      return res.status(403).json({ success: false, code: 'PASSWORD_REQUIRED', error: 'Комната защищена паролем' });
+    }
+
+    const { before } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || MESSAGES_PAGE_SIZE, 1), MAX_MESSAGES_PAGE_SIZE);
+
+    let end = room.messages.length;
+    if (before) {
+      end = room.messages.findIndex(m => m.id === before);
+      if (end === -1) {
+        return res.status(400).json({ success: false, error: 'Неверный курсор' });
+      }
+    }
+
+    const filter = createMessageFilter(req.query);
+    const page = [];
+    let index = end - 1;
+    for (; index >= 0 && page.length < limit; index--) {
+      const message = room.messages[index];
+      if (!filter || filter(message)) page.push(message);
+    }
+    page.reverse();
+
+    // Есть ли ещё подходящие сообщения раньше этой страницы
+    let hasMore = false;
+    for (; index >= 0; index--) {
+      if (!filter || filter(room.messages[index])) {
+        hasMore = true;
+        break;
+      }
+    }
+
+    res.json({
+      success: true,
+      messages: page,
+      nextCursor: hasMore && page.length > 0 ? page[0].id : null,
+      hasMore
+    });
+  } catch (error) {
+    console.error('Get messages error:', error);
+    res.status(500).json({ error: 'Ошибка при получении сообщений' });
+  }
+});
+
+// Журнал модерации и список банов видит только хост
+app.get('/api/room/:id/audit-log', requireAuth, validateRequest(ROUTE_SCHEMAS.room), (req, res) => {
+  try {
+    const room = rooms.get(req.params.id);
+    if (!room) {
+      return res.status(404).json({ error: 'Комната не найдена' });
+    }
+    if (room.hostId !== req.session.userId) {
+      return res.status(403).json({ success: false, code: 'FORBIDDEN', error: 'Журнал модерации доступен только хосту' });
+    }
+
+    const bans = Object.entries(getModeration(room).bans).map(([userId, ban]) => ({ userId, ...ban }));
+    res.json({ success: true, entries: (room.auditLog || []).slice().reverse(), bans });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ error: 'Ошибка при получении журнала модерации' });
+  }
+});
+
+// Сообщения с таймкодом, сгруппированные по видео, для вкладки «Моменты»
+app.get('/api/room/:id/moments', requireAuth, validateRequest(ROUTE_SCHEMAS.room), (req, res) => {
+  try {
+    const room = rooms.get(req.params.id);
+    if (!room) {
+      return res.status(404).json({ error: 'Комната не найдена' });
+    }
+    if (isBanned(room, req.session.userId)) {
+      return res.status(403).json({ success: false, code: 'BANNED', error: 'Вы заблокированы в этой комнате' });
+    }
+    if (!hasRoomAccess(req.session, room, req.get('X-Join-Token'))) {
+      return res.status(403).json({ success: false, code: 'PASSWORD_REQUIRED', error: 'Комната защищена паролем' });
+    }
+
+    const videos = new Map();
+    room.messages.forEach(message => {
+      if (message.deleted || !message.videoTimestamp) return;
+      const { url, time } = message.videoTimestamp;
+      if (!videos.has(url)) videos.set(url, []);
+      videos.get(url).push({
+        id: message.id,
+        userId: message.userId,
+        username: message.username,
+        message: message.message,
+        time,
+        timestamp: message.timestamp
+      });
+    });
+
+    // Текущее видео первым, остальные в порядке первого обсуждения
+    const result = Array.from(videos, ([url, moments]) => ({
+      url,
+      isCurrent: url === room.videoUrl,
+      moments: moments.sort((a, b) => a.time - b.time)
+    })).sort((a, b) => b.isCurrent - a.isCurrent);
+
+    res.json({ success: true, videos: result });
+  } catch (error) {
+    console.error('Get moments error:', error);
+    res.status(500).json({ error: 'Ошибка при получении моментов' });
+  }
+});
+
+// ==================== ЖИЗНЕННЫЙ ЦИКЛ КОМНАТЫ ====================
+
+// Пустая комната удаляется после ROOM_IDLE_TTL_HOURS часов простоя (0 — никогда)
+const ROOM_IDLE_TTL = parseIdleTtl(process.env.ROOM_IDLE_TTL_HOURS);
+const ROOM_EXPIRY_SWEEP_INTERVAL = 10 * 60 * 1000;
+
+const ROOM_CLOSED_MESSAGES = {
+  deleted: 'Комната удалена хостом',
+  'account-deleted': 'Хост удалил свой аккаунт',
+  expired: 'Комната закрыта из-за долгого простоя'
+};
+
+function broadcastRoomUpdate(room) {
+  io.to(room.id).emit('room-updated', {
+    name: room.name,
+    isPrivate: room.isPrivate,
+    archived: !!room.archived,
+    archivedAt: room.archivedAt || null
+  });
+}
+
+// Архивная комната замирает: воспроизведение на паузе, показ экрана и голосовой чат завершены
+function archiveRoom(room) {
+  const now = Date.now();
+  room.currentTime = getPlaybackPosition(room, now);
+  room.isPlaying = false;
+  room.lastUpdate = now;
+  if (room.screenSharer) {
+    screenSharers.delete(room.screenSharer.userId);
+    io.to(room.id).emit('screen-share-stop', { userId: room.screenSharer.userId, timestamp: new Date().toISOString() });
+    room.screenSharer = null;
+  }
+  room.participants.forEach(participant => {
+    participant.isSharingScreen = false;
+    participant.voice = null;
+  });
+  room.archived = true;
+  room.archivedAt = new Date().toISOString();
+  // Сеанс в архивной комнате уже не начнётся
+  room.schedule = null;
+}
+
+// Удаляет комнату: участники получают room-closed и отключаются от её рассылок
+function closeRoom(room, reason) {
+  io.to(room.id).emit('room-closed', {
+    roomId: room.id,
+    reason,
+    message: ROOM_CLOSED_MESSAGES[reason],
+    timestamp: new Date().toISOString()
+  });
+  io.in(room.id).socketsLeave(room.id);
+  io.to(getRoomAudience(room)).emit('room-removed', { roomId: room.id });
+  lastRoomStats.delete(room.id);
+  lastSyncPersist.delete(room.id);
+
+  users.forEach(user => {
+    if (user.rooms && user.rooms.includes(room.id)) {
+      user.rooms = user.rooms.filter(id => id !== room.id);
+      users.set(user.id, user);
+    }
+  });
+  rooms.delete(room.id);
+  console.log(`🗑️ Комната ${room.id} закрыта (${reason})`);
+}
+
+// Настройки комнаты меняет только хост; пароль без изменений можно не присылать
+app.patch('/api/room/:id', requireAuth, validateRequest(ROUTE_SCHEMAS.updateRoom), async (req, res) => {
+  try {
+    const room = rooms.get(req.params.id);
+    if (!room) {
+      return res.status(404).json({ success: false, error: 'Комната не найдена' });
+    }
+    if (room.hostId !== req.session.userId) {
+      return res.status(403).json({ success: false, code: 'FORBIDDEN', error: 'Изменять комнату может только хост' });
+    }
+
+    const { name, isPrivate, password, archived, description, category, tags } = req.body;
+    const trimmedName = name !== undefined ? name.trim() : room.name;
+    if (!trimmedName) {
+      return res.status(400).json({ success: false, error: 'Название комнаты не может быть пустым' });
+    }
+    const makePrivate = isPrivate !== undefined ? isPrivate : room.isPrivate;
+    if (makePrivate && password !== undefined && password.length < 4) {
+      return res.status(400).json({ success: false, error: 'Пароль приватной комнаты должен быть не короче 4 символов' });
+    }
+    if (makePrivate && password === undefined && !room.passwordHash) {
+      return res.status(400).json({ success: false, error: 'Для приватной комнаты нужен пароль' });
+    }
+
+    room.name = trimmedName;
+    if (description !== undefined) room.description = normalizeDescription(description);
+    if (category !== undefined) room.category = normalizeCategory(category);
+    if (tags !== undefined) room.tags = normalizeTags(tags);
+    // Участники, которые уже в комнате, остаются; новый пароль нужен для следующего входа
+    if (!makePrivate) {
+      room.passwordHash = null;
+    } else if (password !== undefined || !room.isPrivate) {
+      if (password !== undefined) room.passwordHash = await bcrypt.hash(password, 10);
+      room.accessVersion = (room.accessVersion || 0) + 1;
+    }
+    room.isPrivate = makePrivate;
+
+    if (archived === true && !room.archived) {
+      archiveRoom(room);
+    } else if (archived === false && room.archived) {
+      room.archived = false;
+      room.archivedAt = null;
+    }
+
+    rooms.set(room.id, room);
+    broadcastRoomUpdate(room);
+    broadcastParticipants(room);
+    res.json({ success: true, room: toRoomSummary(room) });
+  } catch (error) {
+    console.error('Update room error:', error);
+    res.status(500).json({ success: false, error: 'Ошибка при изменении комнаты' });
+  }
+});
+
+app.delete('/api/room/:id', requireAuth, validateRequest(ROUTE_SCHEMAS.room), (req, res) => {
+  try {
+    const room = rooms.get(req.params.id);
+    if (!room) {
+      return res.status(404).json({ success: false, error: 'Комната не найдена' });
+    }
+    if (room.hostId !== req.session.userId) {
+      return res.status(403).json({ success: false, code: 'FORBIDDEN', error: 'Удалить комнату может только хост' });
+    }
+
+    closeRoom(room, 'deleted');
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete room error:', error);
+    res.status(500).json({ success: false, error: 'Ошибка при удалении комнаты' });
+  }
+});
+
+// Каждый узел кластера проверяет все комнаты; повторное удаление безвредно
+setInterval(() => {
+  const now = Date.now();
+  rooms.forEach(room => {
+    if (isRoomExpired(room, ROOM_IDLE_TTL, now)) {
+      closeRoom(room, 'expired');
+    }
+  });
+}, ROOM_EXPIRY_SWEEP_INTERVAL);
+
+// ==================== ЗАПЛАНИРОВАННЫЕ СЕАНСЫ ====================
+
+const SCHEDULE_TICK_INTERVAL = 1000;
+
+// Сеанс видят участники комнаты и, через сводку room-stats, дашборды
+function broadcastSchedule(room) {
+  io.to(room.id).emit('schedule-updated', toPublicSchedule(room.schedule));
+  broadcastRoomStats(room);
+}
+
+function sendScheduleReminder(room) {
+  const { schedule } = room;
+  schedule.remindedAt = new Date().toISOString();
+  rooms.set(room.id, room);
+
+  const payload = { roomId: room.id, roomName: room.name, title: schedule.title, startsAt: schedule.startsAt };
+  getReminderRecipients(schedule).forEach(userId => {
+    io.to(getUserChannel(userId)).emit('watch-party-reminder', payload);
+  });
+}
+
+// Позиция отсчитывается от запланированного момента, поэтому запоздавший старт
+// (например, после перезапуска сервера) попадает в то же место видео, что и вовремя
+function startScheduledParty(room, startsAt) {
+  const { schedule } = room;
+  room.videoUrl = schedule.videoUrl;
+  room.videoTitle = schedule.title;
+  room.isPlaying = true;
+  room.currentTime = 0;
+  room.lastUpdate = startsAt;
+  schedule.startedAt = new Date().toISOString();
+  rooms.set(room.id, room);
+
+  io.to(room.id).emit('video-update', {
+    action: 'change-video',
+    url: schedule.videoUrl,
+    time: 0,
+    isPlaying: true,
+    serverTime: startsAt
+  });
+  broadcastSchedule(room);
+  console.log(`🎬 Комната ${room.id}: запланированный сеанс начался`);
+}
+
+function getScheduledRoom(req, res) {
+  const room = rooms.get(req.params.id);
+  if (!room) {
+    res.status(404).json({ success: false, error: 'Комната не найдена' });
+    return null;
+  }
+  if (isBanned(room, req.session.userId)) {
+    res.status(403).json({ success: false, code: 'BANNED', error: 'Вы заблокированы в этой комнате' });
+    return null;
+  }
+  if (!hasRoomAccess(req.session, room, req.get('X-Join-Token'))) {
+    res.status(403).json({ success: false, code: 'PASSWORD_REQUIRED', error: 'Комната защищена паролем' });
+    return null;
+  }
+  return room;
+}
+
+// Планирует сеанс или переносит существующий; ответы участников при переносе сохраняются
+app.put('/api/room/:id/schedule', requireAuth, validateRequest(ROUTE_SCHEMAS.schedule), (req, res) => {
+  try {
+    const room = rooms.get(req.params.id);
+    if (!room) {
+      return res.status(404).json({ success: false, error: 'Комната не найдена' });
+    }
+    if (room.hostId !== req.session.userId) {
+      return res.status(403).json({ success: false, code: 'FORBIDDEN', error: 'Планировать сеансы может только хост' });
+    }
+    if (room.archived) {
+      return res.status(409).json({ success: false, code: 'ROOM_ARCHIVED', error: 'Комната в архиве' });
+    }
+
+    const { videoUrl, title } = req.body;
+    const startsAt = parseStartTime(req.body.startsAt);
+    if (!startsAt) {
+      return res.status(400).json({ success: false, error: 'Время начала должно быть в будущем, но не дальше чем через год' });
+    }
+    if (!isValidVideoUrl(videoUrl)) {
+      return res.status(400).json({ success: false, error: 'Неверная ссылка на видео' });
+    }
+
+    const previous = room.schedule;
+    room.schedule = {
+      startsAt: new Date(startsAt).toISOString(),
+      videoUrl,
+      title: (title && title.trim()) || null,
+      createdBy: req.session.userId,
+      rsvps: previous && !previous.startedAt ? previous.rsvps : {},
+      remindedAt: null,
+      startedAt: null
+    };
+    rooms.set(room.id, room);
+    broadcastSchedule(room);
+    res.json({ success: true, schedule: toPublicSchedule(room.schedule) });
+  } catch (error) {
+    console.error('Schedule room error:', error);
+    res.status(500).json({ success: false, error: 'Ошибка при планировании сеанса' });
+  }
+});
+
+app.delete('/api/room/:id/schedule', requireAuth, validateRequest(ROUTE_SCHEMAS.room), (req, res) => {
+  try {
+    const room = rooms.get(req.params.id);
+    if (!room) {
+      return res.status(404).json({ success: false, error: 'Комната не найдена' });
+    }
+    if (room.hostId !== req.session.userId) {
+      return res.status(403).json({ success: false, code: 'FORBIDDEN', error: 'Отменить сеанс может только хост' });
+    }
+
+    room.schedule = null;
+    rooms.set(room.id, room);
+    broadcastSchedule(room);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Cancel schedule error:', error);
+    res.status(500).json({ success: false, error: 'Ошибка при отмене сеанса' });
+  }
+});
+
+app.post('/api/room/:id/rsvp', requireAuth, validateRequest(ROUTE_SCHEMAS.rsvp), (req, res) => {
+  try {
+    const room = getScheduledRoom(req, res);
+    if (!room) return;
+    if (!room.schedule || room.schedule.startedAt) {
+      return res.status(409).json({ success: false, error: 'В комнате нет предстоящего сеанса' });
+    }
+
+    const user = users.get(req.session.userId);
+    room.schedule.rsvps[user.id] = {
+      username: user.username,
+      status: req.body.status,
+      at: new Date().toISOString()
+    };
+    rooms.set(room.id, room);
+    broadcastSchedule(room);
+    res.json({ success: true, schedule: toPublicSchedule(room.schedule) });
+  } catch (error) {
+    console.error('RSVP error:', error);
+    res.status(500).json({ success: false, error: 'Ошибка при ответе на приглашение' });
+  }
+});
+
+app.get('/api/room/:id/schedule.ics', requireAuth, validateRequest(ROUTE_SCHEMAS.room), (req, res) => {
+  try {
+    const room = getScheduledRoom(req, res);
+    if (!room) return;
+    if (!room.schedule) {
+      return res.status(404).json({ success: false, error: 'В комнате нет запланированного сеанса' });
+    }
+
+    const roomUrl = `${req.protocol}://${req.get('host')}/room/${room.id}`;
+    res.type('text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="watch-party-${room.id}.ics"`);
+    res.send(buildIcs(room, roomUrl));
+  } catch (error) {
+    console.error('Calendar export error:', error);
+    res.status(500).json({ success: false, error: 'Ошибка при экспорте в календарь' });
+  }
+});
+
+// Напоминания и автостарт. Проверку ведёт каждый узел кластера; отметки remindedAt и startedAt
+// расходятся по узлам через хранилище, поэтому повтор возможен лишь в пределах задержки репликации
+setInterval(() => {
+  const now = Date.now();
+  rooms.forEach(room => {
+    const { schedule } = room;
+    if (!schedule || room.archived) return;
+
+    const startsAt = Date.parse(schedule.startsAt);
+    // Прошедший сеанс убираем, в том числе пропущенный, пока сервер не работал
+    if (now - startsAt >= SCHEDULE_KEEP_AFTER_START) {
+      room.schedule = null;
+      rooms.set(room.id, room);
+      broadcastSchedule(room);
+      return;
+    }
+    if (schedule.startedAt) return;
+
+    if (!schedule.remindedAt && now >= startsAt - REMINDER_LEAD) {
+      sendScheduleReminder(room);
+    }
+    if (now >= startsAt) {
+      startScheduledParty(room, startsAt);
+    }
+  });
+}, SCHEDULE_TICK_INTERVAL);
+
+// ==================== ПРИГЛАШЕНИЯ ====================
+
+// Ссылка /invite/:token пускает в приватную комнату без пароля и может сразу выдать роль.
+// Отзыв удаляет приглашение: новые переходы по ссылке не сработают, но доступ,
+// уже полученный по ней, остаётся до смены пароля комнаты.
+function getInviteUrl(req, room, invite) {
+  const expiresAt = invite.expiresAt ? Date.parse(invite.expiresAt) : null;
+  const token = createInviteToken(room.id, invite.id, SESSION_SECRET, expiresAt);
+  return `${req.protocol}://${req.get('host')}/invite/${token}`;
+}
+
+function getHostedRoom(req, res, message) {
+  const room = rooms.get(req.params.id);
+  if (!room) {
+    res.status(404).json({ success: false, error: 'Комната не найдена' });
+    return null;
+  }
+  if (room.hostId !== req.session.userId) {
+    res.status(403).json({ success: false, code: 'FORBIDDEN', error: message });
+    return null;
+  }
+  return room;
+}
+
+app.get('/api/room/:id/invites', requireAuth, validateRequest(ROUTE_SCHEMAS.room), (req, res) => {
+  try {
+    const room = getHostedRoom(req, res, 'Приглашения видит только хост');
+    if (!room) return;
+
+    const invites = Object.values(room.invites || {})
+      .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+      .map(invite => toPublicInvite(invite, getInviteUrl(req, room, invite)));
+    res.json({ success: true, invites });
+  } catch (error) {
+    console.error('List invites error:', error);
+    res.status(500).json({ success: false, error: 'Ошибка при получении приглашений' });
+  }
+});
+
+app.post('/api/room/:id/invites', requireAuth, validateRequest(ROUTE_SCHEMAS.createInvite), (req, res) => {
+  try {
+    const room = getHostedRoom(req, res, 'Создавать приглашения может только хост');
+    if (!room) return;
+    if (room.archived) {
+      return res.status(409).json({ success: false, code: 'ROOM_ARCHIVED', error: 'Комната в архиве' });
+    }
+
+    room.invites = room.invites || {};
+    // Когда места нет, его освобождают просроченные и исчерпанные приглашения
+    if (Object.keys(room.invites).length >= MAX_INVITES_PER_ROOM) {
+      Object.values(room.invites).forEach(invite => {
+        if (getInviteStatus(invite) !== 'active') delete room.invites[invite.id];
+      });
+    }
+    if (Object.keys(room.invites).length >= MAX_INVITES_PER_ROOM) {
+      return res.status(409).json({
+        success: false,
+        code: 'TOO_MANY_INVITES',
+        error: `В комнате не может быть больше ${MAX_INVITES_PER_ROOM} действующих приглашений`
+      });
+    }
+
+    const { expiresInHours, maxUses, role } = req.body;
+    const invite = {
+      id: uuidv4(),
+      createdBy: req.session.userId,
+      createdAt: new Date().toISOString(),
+      expiresAt: expiresInHours ? new Date(Date.now() + expiresInHours * 60 * 60 * 1000).toISOString() : null,
+      maxUses: maxUses || null,
+      role: role || 'viewer',
+      usedBy: []
+    };
+    room.invites[invite.id] = invite;
+    rooms.set(room.id, room);
+    res.json({ success: true, invite: toPublicInvite(invite, getInviteUrl(req, room, invite)) });
+  } catch (error) {
+    console.error('Create invite error:', error);
+    res.status(500).json({ success: false, error: 'Ошибка при создании приглашения' });
+  }
+});
+
+app.delete('/api/room/:id/invites/:inviteId', requireAuth, validateRequest(ROUTE_SCHEMAS.invite), (req, res) => {
+  try {
+    const room = getHostedRoom(req, res, 'Отзывать приглашения может только хост');
+    if (!room) return;
+    if (!room.invites || !room.invites[req.params.inviteId]) {
+      return res.status(404).json({ success: false, error: 'Приглашение не найдено' });
+    }
+
+    delete room.invites[req.params.inviteId];
+    rooms.set(room.id, room);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    res.status(500).json({ success: false, error: 'Ошибка при отзыве приглашения' });
+  }
+});
+
+// Переход по приглашению: открывает доступ, выдаёт роль и ведёт в комнату.
+// Ошибку показывает дашборд по коду в ?invite=
+app.get('/invite/:token', requireAuth, validateRequest(ROUTE_SCHEMAS.token), (req, res) => {
+  const fail = (code) => res.redirect(`/dashboard?invite=${code}`);
+  try {
+    const data = readInviteToken(req.params.token, SESSION_SECRET);
+    if (!data) return fail('INVITE_INVALID');
+    if (data.expired) return fail('INVITE_EXPIRED');
+    const room = rooms.get(data.roomId);
+    if (!room) return fail('INVITE_INVALID');
+
+    const userId = req.session.userId;
+    if (isBanned(room, userId)) return fail('BANNED');
+    if (room.archived) return fail('ROOM_ARCHIVED');
+    const invite = room.invites && room.invites[data.inviteId];
+    const errorCode = checkInvite(invite, userId);
+    if (errorCode) return fail(errorCode);
+
+    if (!invite.usedBy.includes(userId)) invite.usedBy.push(userId);
+    // Роль из приглашения только повышает текущую
+    if (invite.role !== 'viewer' && !hasRole(getRole(room, userId), invite.role)) {
+      room.roles[userId] = invite.role;
+    }
+    rooms.set(room.id, room);
+    broadcastRoles(room);
+
+    grantRoomAccess(req.session, room);
+    req.session.save(() => res.redirect(`/room/${room.id}`));
+    console.log(`🎟️ Комната ${room.id}: ${req.session.username} вошёл по приглашению`);
+  } catch (error) {
+    console.error('Invite error:', error);
+    fail('INVITE_INVALID');
+  }
+});
+
+// ==================== WEBRTC ====================
+
+// STUN по умолчанию; для сетей за NAT можно передать TURN-серверы в ICE_SERVERS (JSON)
+function getIceServers() {
+  if (process.env.ICE_SERVERS) {
+    try {
+      return JSON.parse(process.env.ICE_SERVERS);
+    } catch (error) {
+      console.error('❌ Неверный формат ICE_SERVERS:', error.message);
+    }
+  }
+  return [{ urls: 'stun:stun.l.google.com:19302' }];
+}
+
+app.get('/api/rtc-config', requireAuth, (req, res) => {
+  res.json({ success: true, iceServers: getIceServers() });
+});
+
+const RTC_SIGNAL_TYPES = ['request', 'offer', 'answer', 'candidate', 'fallback'];
+const RTC_CHANNELS = ['screen', 'voice'];
+// В mesh каждый участник отправляет поток каждому, поэтому голосовой чат рассчитан на небольшие комнаты
+const MAX_VOICE_PARTICIPANTS = 8;
+
+function getVoiceParticipant(socket, room) {
+  const userData = getRoomMember(socket, room);
+  if (!userData) return null;
+  return room.participants.find(p => p.id === userData.userId) || null;
+}
+
+// ==================== СИНХРОНИЗАЦИЯ ВОСПРОИЗВЕДЕНИЯ ====================
+
+// Как часто сервер рассылает эталонную позицию всем участникам
+const SYNC_HEARTBEAT_INTERVAL = 2000;
+// Метки времени клиента дальше этого расхождения считаем недостоверными
+const MAX_CLOCK_SKEW = 5000;
+// Отчёты sync приходят каждые 3 с; позиция из них сохраняется не чаще этого интервала
+const SYNC_PERSIST_INTERVAL = 10 * 1000;
+// Время последнего сохранения позиции из sync по ID комнаты
+const lastSyncPersist = new Map();
+
+// Позиция воспроизведения с учётом времени, прошедшего с последнего обновления
+function getPlaybackPosition(room, now = Date.now()) {
+  const position = room.currentTime || 0;
+  if (!room.isPlaying) return position;
+  return position + Math.max(0, now - room.lastUpdate) / 1000;
+}
+
+// Момент, к которому относится присланная позиция, в часах сервера.
+// Клиент отправляет timestamp уже скорректированным по time-sync.
+function getReportedAt(timestamp, now) {
+  if (!Number.isFinite(timestamp) || Math.abs(now - timestamp) > MAX_CLOCK_SKEW) {
+    return now;
+  }
+  return Math.min(timestamp, now);
+}
+
+// Каждый узел рассылает heartbeat только своим сокетам, иначе в кластере клиенты получали бы его N раз
+setInterval(() => {
+  const now = Date.now();
+  rooms.forEach(room => {
+    if (!room.videoUrl || room.participants.length === 0) return;
+    io.local.to(room.id).emit('sync-heartbeat', {
+      url: room.videoUrl,
+      isPlaying: room.isPlaying,
+      time: getPlaybackPosition(room, now),
+      serverTime: now
+    });
+  });
+}, SYNC_HEARTBEAT_INTERVAL);
+
+// ==================== ИСТОРИЯ ПРОСМОТРОВ ====================
+
+// Время просмотра начисляется порциями: раз в интервал каждому, кто в комнате с идущим видео.
+// Каждый узел начисляет только своим сокетам, иначе в кластере время умножилось бы на число узлов.
+const HISTORY_TICK_INTERVAL = 15 * 1000;
+
+function updateWatchHistory(userId, room, seconds = 0) {
+  if (!room.videoUrl) return;
+  const record = recordWatch(watchHistory.get(userId), userId, room, {
+    position: getPlaybackPosition(room),
+    seconds
+  });
+  if (record) watchHistory.set(userId, record);
+}
+
+// Перед сменой видео запоминаем, где остановились все участники
+function saveWatchPositions(room) {
+  room.participants.forEach(p => updateWatchHistory(p.id, room));
+}
+
+setInterval(() => {
+  rooms.forEach(room => {
+    if (!room.videoUrl || !room.isPlaying || room.archived) return;
+    room.participants.forEach(p => {
+      if (io.sockets.sockets.has(p.socketId)) {
+        updateWatchHistory(p.id, room, HISTORY_TICK_INTERVAL / 1000);
+      }
+    });
+  });
+}, HISTORY_TICK_INTERVAL);
+
+function toHistoryEntry(entry) {
+  return { ...entry, thumbnail: getVideoThumbnail(entry.videoUrl) };
+}
+
+app.get('/api/history', requireAuth, (req, res) => {
+  const entries = getHistoryEntries(watchHistory.get(req.session.userId));
+  res.json({
+    success: true,
+    history: entries.map(toHistoryEntry),
+    continueWatching: getContinueWatching(entries).map(toHistoryEntry),
+    totalSeconds: entries.reduce((sum, entry) => sum + entry.watchedSeconds, 0)
+  });
+});
+
+app.delete('/api/history', requireAuth, (req, res) => {
+  watchHistory.delete(req.session.userId);
+  res.json({ success: true });
+});
+
+app.delete('/api/history/:entryId', requireAuth, validateRequest(ROUTE_SCHEMAS.historyEntry), (req, res) => {
+  const record = watchHistory.get(req.session.userId);
+  const entries = record ? record.entries.filter(entry => entry.id !== req.params.entryId) : [];
+  if (!record || entries.length === record.entries.length) {
+    return res.status(404).json({ success: false, error: 'Запись не найдена' });
+  }
+  watchHistory.set(record.userId, { ...record, entries });
+  res.json({ success: true });
+});
+
+// Ошибки разбора запроса отдаём в том же формате, что и остальные ответы API
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ success: false, code: 'PAYLOAD_TOO_LARGE', error: 'Слишком большой запрос' });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ success: false, code: 'INVALID_JSON', error: 'Некорректный JSON' });
+  }
+  if (err instanceof multer.MulterError) {
+    return res.status(400).json({ success: false, code: 'UPLOAD_ERROR', error: err.code === 'LIMIT_FILE_SIZE' ? 'Файл слишком большой' : err.message });
+  }
+  console.error('❌ Необработанная ошибка запроса:', err);
+  res.status(500).json({ success: false, error: err.message || 'Ошибка сервера' });
+});
+
+// Старые сообщения удаляются и без новых: раз в час проверяем возраст истории.
+// История архивных комнат не меняется.
+const RETENTION_SWEEP_INTERVAL = 60 * 60 * 1000;
+
+setInterval(() => {
+  const now = Date.now();
+  rooms.forEach(room => {
+    if (!room.archived && applyRetention(room, now)) {
+      rooms.set(room.id, room);
+    }
+  });
+}, RETENTION_SWEEP_INTERVAL);
+
+// ==================== РОЛИ И ПРАВА ====================
+
+// Участник комнаты, от имени которого пришло событие сокета
+function getRoomMember(socket, room) {
+  const userData = onlineUsers.get(socket.id);
+  if (!room || !userData || userData.roomId !== room.id) return null;
+  // Исключённый из комнаты сокет остаётся подключенным, но действовать в ней уже не может
+  if (!room.participants.some(p => p.socketId === socket.id)) return null;
+  return userData;
+}
+
+// Проверяет право участника на действие; при отказе явно сообщает клиенту
+function authorize(socket, room, permission) {
+  const userData = getRoomMember(socket, room);
+  if (!userData) return null;
+
+  if (!can(room, userData.userId, permission)) {
+    socket.emit('error', {
+      code: 'FORBIDDEN',
+      action: permission,
+      requiredRole: getPermissions(room)[permission],
+      message: PERMISSION_ERRORS[permission]
+    });
+    return null;
+  }
+  return userData;
+}
+
+function requireHost(socket, room, message) {
+  const userData = getRoomMember(socket, room);
+  if (!userData) return null;
+
+  if (room.hostId !== userData.userId) {
+    socket.emit('error', { code: 'FORBIDDEN', action: 'host', requiredRole: 'host', message });
+    return null;
+  }
+  return userData;
+}
+
+function getParticipants(room) {
+  const now = Date.now();
+  return room.participants.map(p => ({ ...p, role: getRole(room, p.id), mutedUntil: getMutedUntil(room, p.id, now) }));
+}
+
+function broadcastParticipants(room) {
+  io.to(room.id).emit('participants-updated', getParticipants(room));
+  broadcastRoomStats(room);
+}
+
+function broadcastRoles(room) {
+  io.to(room.id).emit('roles-updated', {
+    hostId: room.hostId,
+    host: room.host,
+    roles: room.roles,
+    permissions: getPermissions(room)
+  });
+  broadcastParticipants(room);
+}
+
+// ==================== ЧАТ ====================
+
+const MAX_MESSAGE_LENGTH = 2000;
+const REPLY_PREVIEW_LENGTH = 100;
+const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '🔥'];
+
+// Проверяет длину и маскирует запрещённые в комнате слова
+function normalizeMessageText(room, message) {
+  if (typeof message !== 'string') return null;
+  const text = message.trim();
+  if (!text || text.length > MAX_MESSAGE_LENGTH) return null;
+  return maskBannedWords(text, getModeration(room).bannedWords);
+}
+
+function findMessage(room, messageId) {
+  return room.messages.find(m => m.id === messageId);
+}
+
+// Упоминания ищем по именам участников комнаты: имена могут содержать пробелы,
+// поэтому проверяем вхождение «@имя», а не разбираем текст на слова
+function findMentions(room, text) {
+  const lowerText = text.toLowerCase();
+  const mentions = [];
+  room.participants.forEach(p => {
+    if (lowerText.includes(`@${p.username.toLowerCase()}`) && !mentions.some(m => m.id === p.id)) {
+      mentions.push({ id: p.id, username: p.username });
+    }
+  });
+  return mentions;
+}
+
+// Уведомляет упомянутых участников, кроме автора и уже уведомлённых ранее
+function notifyMentions(room, message, alreadyNotified = []) {
+  message.mentions.forEach(mention => {
+    if (mention.id === message.userId || alreadyNotified.includes(mention.id)) return;
+    const participant = room.participants.find(p => p.id === mention.id);
+    if (!participant) return;
+    io.to(participant.socketId).emit('mention', {
+      roomId: room.id,
+      messageId: message.id,
+      from: message.username,
+      message: message.message.slice(0, REPLY_PREVIEW_LENGTH)
+    });
+  });
+}
+
+// Цитаты в ответах повторяют правку или удаление исходного сообщения
+function updateReplyQuotes(room, message) {
+  room.messages.forEach(m => {
+    if (!m.replyTo || m.replyTo.id !== message.id) return;
+    m.replyTo.message = message.message.slice(0, REPLY_PREVIEW_LENGTH);
+    m.replyTo.deleted = message.deleted;
+  });
+}
+
+function broadcastMessageUpdate(room, message) {
+  io.to(room.id).emit('message-updated', message);
+}
+
+// ==================== МОДЕРАЦИЯ ====================
+
+const SOUND_EFFECT_COOLDOWN = 2000;
+
+// Время последнего сообщения пользователя в комнате для медленного режима
+const lastMessageTimes = new Map();
+
+// Модератор действует только на участников с ролью ниже своей; хоста не трогает никто
+function authorizeModeration(socket, room, targetUserId) {
+  const userData = authorize(socket, room, 'moderate');
+  if (!userData) return null;
+
+  const actorRole = getRole(room, userData.userId);
+  const targetRole = getRole(room, targetUserId);
+  if (targetUserId === userData.userId || ROLES.indexOf(targetRole) >= ROLES.indexOf(actorRole)) {
+    socket.emit('error', { code: 'FORBIDDEN', action: 'moderate', message: 'Нельзя применить это действие к участнику с такой же или более высокой ролью' });
+    return null;
+  }
+  return userData;
+}
+
+function recordModeration(room, userData, action, targetUserId, details = null) {
+  const target = targetUserId ? users.get(targetUserId) : null;
+  addAuditEntry(room, {
+    action,
+    actorId: userData.userId,
+    actorName: userData.username,
+    targetId: targetUserId || null,
+    targetName: target ? target.username : null,
+    details
+  });
+}
+
+// Сообщает о заглушении; возвращает true, если писать пока нельзя
+function rejectIfMuted(socket, room, userId) {
+  const mutedUntil = getMutedUntil(room, userId);
+  if (!mutedUntil) return false;
+  socket.emit('error', {
+    code: 'MUTED',
+    until: mutedUntil,
+    message: `Вы не можете писать до ${new Date(mutedUntil).toLocaleTimeString('ru-RU')}`
+  });
+  return true;
+}
+
+// Медленный режим не распространяется на тех, кто может модерировать
+function rejectBySlowMode(socket, room, userId) {
+  const { slowMode } = getModeration(room);
+  if (!slowMode || can(room, userId, 'moderate')) return false;
+
+  const key = `${room.id}:${userId}`;
+  const now = Date.now();
+  const wait = (lastMessageTimes.get(key) || 0) + slowMode * 1000 - now;
+  if (wait > 0) {
+    socket.emit('error', {
+      code: 'SLOW_MODE',
+      retryAfter: Math.ceil(wait / 1000),
+      message: `Медленный режим: следующее сообщение через ${Math.ceil(wait / 1000)} с`
+    });
+    return true;
+  }
+  lastMessageTimes.set(key, now);
+  return false;
+}
+
+// Убирает участника из комнаты и отключает его сокет от её рассылок
+function removeFromRoom(room, userId, event, payload) {
+  const participant = room.participants.find(p => p.id === userId);
+  room.participants = room.participants.filter(p => p.id !== userId);
+  if (room.screenSharer && room.screenSharer.userId === userId) {
+    room.screenSharer = null;
+    io.to(room.id).emit('screen-share-stop', { userId, timestamp: new Date().toISOString() });
+  }
+  rooms.set(room.id, room);
+
+  if (participant) {
+    io.to(participant.socketId).emit(event, payload);
+    io.in(participant.socketId).socketsLeave(room.id);
+    io.to(room.id).emit('user-left', { userId, socketId: participant.socketId, timestamp: new Date().toISOString() });
+  }
+  broadcastParticipants(room);
+}
+
+function broadcastModeration(room) {
+  const { slowMode, bannedWords } = getModeration(room);
+  io.to(room.id).emit('moderation-updated', { slowMode, bannedWords });
+}
+
+// ==================== ОЧЕРЕДЬ ВОСПРОИЗВЕДЕНИЯ ====================
+
+const MAX_QUEUE_LENGTH = 100;
+const MAX_VIDEO_URL_LENGTH = 2048;
+
+function isValidVideoUrl(url) {
+  if (typeof url !== 'string' || url.length > MAX_VIDEO_URL_LENGTH) return false;
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+// Голоса поднимают запись выше записей с меньшим числом голосов.
+// Сортировка стабильная, поэтому ручной порядок хоста среди равных сохраняется.
+function sortQueueByVotes(queue) {
+  return queue
+    .map((item, index) => ({ item, index }))
+    .sort((a, b) => (b.item.votes.length - a.item.votes.length) || (a.index - b.index))
+    .map(({ item }) => item);
+}
+
+function broadcastQueue(room) {
+  io.to(room.id).emit('queue-updated', { queue: room.queue });
+}
+
+// Конец видео засчитывается, если позиция сервера не дальше этого от длительности, секунды
+const VIDEO_END_MARGIN = 5;
+
+// Длительность видео сервер узнаёт от клиентов. Сообщение участника с правом управлять
+// воспроизведением главнее; от остальных берётся наибольшая из присланных,
+// чтобы зритель не мог «укоротить» видео и так его пропустить
+function reportVideoDuration(room, userId, url, duration) {
+  if (url !== room.videoUrl || !Number.isFinite(duration) || duration <= 0) return;
+  const trusted = can(room, userId, 'controlPlayback');
+  const known = room.videoDuration && room.videoDuration.url === url ? room.videoDuration : null;
+  if (known && known.trusted && !trusted) return;
+  if (known && known.trusted === trusted && duration <= known.seconds) return;
+  room.videoDuration = { url, seconds: duration, trusted };
+  rooms.set(room.id, room);
+}
+
+// Пока в комнате есть управляющий воспроизведением, длительность принимается только от него
+function getVideoDuration(room) {
+  const known = room.videoDuration;
+  if (!known || known.url !== room.videoUrl) return null;
+  if (!known.trusted && room.participants.some(p => can(room, p.id, 'controlPlayback'))) return null;
+  return known.seconds;
+}
+
+// Дошло ли видео до конца по часам сервера
+function isVideoAtEnd(room) {
+  const duration = getVideoDuration(room);
+  return duration !== null && getPlaybackPosition(room) >= duration - VIDEO_END_MARGIN;
+}
+
+// Включает следующее видео из очереди для всех участников.
+// Если очередь пуста, видео останавливается там, где закончилось, а не перематывается в начало.
+function advanceQueue(room) {
+  saveWatchPositions(room);
+  const next = room.queue.shift();
+  const now = Date.now();
+
+  if (!next) {
+    if (!room.isPlaying) return;
+    const duration = getVideoDuration(room);
+    const position = getPlaybackPosition(room, now);
+    room.currentTime = duration !== null ? Math.min(position, duration) : position;
+    room.isPlaying = false;
+    room.lastUpdate = now;
+    rooms.set(room.id, room);
+    io.to(room.id).emit('video-update', {
+      action: 'pause',
+      time: room.currentTime,
+      isPlaying: false,
+      serverTime: now
+    });
+    broadcastRoomStats(room);
+    return;
+  }
+
+  room.videoUrl = next.url;
+  room.videoTitle = next.title;
+  room.isPlaying = true;
+  room.currentTime = 0;
+  room.lastUpdate = now;
+  rooms.set(room.id, room);
+
+  io.to(room.id).emit('video-update', {
+    action: 'change-video',
+    url: next.url,
+    time: 0,
+    isPlaying: true,
+    serverTime: now
+  });
+  console.log(`⏭️ Комната ${room.id}: включено следующее видео из очереди`);
+  broadcastQueue(room);
+  broadcastRoomStats(room);
+}
+
+// ==================== АВТОРИЗАЦИЯ СОКЕТОВ ====================
+
+io.engine.use(sessionMiddleware);
+
+// Личность сокета берётся только из сессии; userId, username и avatar из событий игнорируются
+// IP клиента сокета; за прокси Render — первый адрес из X-Forwarded-For
+function getSocketIp(socket) {
+  const forwarded = socket.handshake.headers['x-forwarded-for'];
+  if (process.env.NODE_ENV === 'production' && forwarded) {
+    return forwarded.split(',')[0].trim();
+  }
+  return socket.handshake.address;
+}
+
+const socketConnectLimiter = new TokenBucketLimiter({ capacity: 20, refillPerSecond: 1 });
+
+// Лимиты событий на пользователя по группам из SOCKET_RATE_GROUPS
+const SOCKET_RATE_LIMITS = {
+  default: { capacity: 30, refillPerSecond: 10 },
+  chat: { capacity: 5, refillPerSecond: 1 },
+  sound: { capacity: 3, refillPerSecond: 0.5 },
+  // Кадры запасной трансляции экрана идут с частотой до 15 в секунду
+  media: { capacity: 30, refillPerSecond: 20 },
+  // Обмен ICE-кандидатами при подключении идёт пачками
+  signal: { capacity: 200, refillPerSecond: 50 },
+  join: { capacity: 5, refillPerSecond: 0.2 }
+};
+const socketEventLimiters = {};
+Object.entries(SOCKET_RATE_LIMITS).forEach(([group, options]) => {
+  socketEventLimiters[group] = new TokenBucketLimiter(options);
+});
+const RATE_LIMIT_NOTICE_INTERVAL = 1000;
+
+io.use((socket, next) => {
+  const { allowed } = socketConnectLimiter.take(getSocketIp(socket));
+  if (!allowed) {
+    const error = new Error('Слишком много подключений');
+    error.data = { code: 'RATE_LIMITED' };
+    return next(error);
+  }
+  next();
+});
+
+io.use((socket, next) => {
+  const { userId } = socket.request.session || {};
+  const user = userId ? users.get(userId) : null;
+  if (!user) {
+    const error = new Error('Требуется авторизация');
+    error.data = { code: 'UNAUTHORIZED' };
+    return next(error);
+  }
+  socket.data.userId = user.id;
+  socket.data.sessionId = socket.request.sessionID;
+  next();
+});
+
+// Актуальные данные пользователя сокета (имя и аватар могли измениться в профиле)
+function getSocketUser(socket) {
+  return users.get(socket.data.userId) || null;
+}
+
+// Отказ по лимиту сообщаем не чаще раза в секунду на группу, чтобы не отвечать флудом на флуд
+function notifyRateLimited(socket, event, group, retryAfter) {
+  const notices = socket.data.rateLimitNotices || (socket.data.rateLimitNotices = {});
+  const now = Date.now();
+  if (now - (notices[group] || 0) < RATE_LIMIT_NOTICE_INTERVAL) return;
+  notices[group] = now;
+  socket.emit('error', {
+    code: 'RATE_LIMITED',
+    event,
+    retryAfter,
+    message: `Слишком много действий. Повторите через ${retryAfter} с`
+  });
+}
+
+// Каждое событие сокета проходит лимит частоты и проверку схемы до обработчика.
+// Обработчик получает очищенные данные без лишних полей.
+function guardSocketEvent(socket, packet, next) {
+  const [event, data] = packet;
+  const schema = SOCKET_SCHEMAS[event];
+  if (!schema) {
+    socket.emit('error', { code: 'UNKNOWN_EVENT', event, message: 'Неизвестное событие' });
+    return;
+  }
+
+  const group = SOCKET_RATE_GROUPS[event] || 'default';
+  const { allowed, retryAfter } = socketEventLimiters[group].take(socket.data.userId);
+  if (!allowed) {
+    notifyRateLimited(socket, event, group, retryAfter);
+    return;
+  }
+
+  const hasPayload = typeof data !== 'function';
+  const result = validate(schema, hasPayload ? data : undefined);
+  if (!result.valid) {
+    const [firstError] = result.errors;
+    socket.emit('error', {
+      code: 'VALIDATION_ERROR',
+      event,
+      message: firstError.field ? `Неверные данные (${firstError.field}): ${firstError.message}` : firstError.message,
+      details: result.errors
+    });
+    return;
+  }
+
+  const room = result.value.roomId ? rooms.get(result.value.roomId) : null;
+  if (room && room.archived && !ARCHIVED_ROOM_EVENTS.includes(event)) {
+    socket.emit('error', { code: 'ROOM_ARCHIVED', event, message: 'Комната в архиве: история доступна только для чтения' });
+    return;
+  }
+
+  if (hasPayload) {
+    packet[1] = result.value;
+  } else {
+    packet.splice(1, 0, result.value);
+  }
+  next();
+}
+
 // WebSocket соединения
 io.on('connection', (socket) => {
   console.log('✅ Новое подключение:', socket.id);
+  socket.use((packet, next) => guardSocketEvent(socket, packet, next));
+  // Личный канал пользователя: события, которые касаются только его
+  socket.join(getUserChannel(socket.data.userId));
+  socket.join(getSessionChannel(socket.data.sessionId));
+
+  socket.on('watch-rooms', () => {
+    socket.join(ROOMS_LOBBY);
+  });
 
   socket.on('join-room', (data) => {
-    const { roomId, userId, username, avatar } = data;
+    const { roomId, joinToken } = data;
+    const user = getSocketUser(socket);
+    if (!user) {
+      socket.emit('error', { code: 'UNAUTHORIZED', message: 'Требуется авторизация' });
+      socket.disconnect(true);
+      return;
+    }
+    const { id: userId, username, avatar } = user;
     const room = rooms.get(roomId);
     if (!room) {
       socket.emit('error', { message: 'Комната не найдена' });
       return;
     }
+    if (isBanned(room, userId)) {
+      socket.emit('error', { code: 'BANNED', message: 'Вы заблокированы в этой комнате' });
+      return;
+    }
+    const session = socket.request.session;
+    if (!hasRoomAccess(session, room, joinToken)) {
+      socket.emit('error', { code: 'PASSWORD_REQUIRED', message: 'Комната защищена паролем' });
+      return;
+    }
+    if (room.isPrivate && !hasRoomAccess(session, room)) {
+      grantRoomAccess(session, room);
+      session.save();
+    }
+    room.lastActivityAt = new Date().toISOString();
     const existingParticipant = room.participants.find(p => p.id === userId);
-    if (!existingParticipant) {
+    if (existingParticipant) {
+      // Новый сокет начинает без голосового чата: прежние WebRTC-соединения остались на старом
+      existingParticipant.socketId = socket.id;
+      existingParticipant.voice = null;
+    } else {
       room.participants.push({
         id: userId,
         username,
         avatar,
         socketId: socket.id,
         joinedAt: new Date().toISOString(),
-        isSharingScreen: false
+        isSharingScreen: false,
+        voice: null
       });
       rooms.set(roomId, room);
     }
     socket.join(roomId);
     onlineUsers.set(socket.id, { userId, username, roomId });
+    const now = Date.now();
     socket.to(roomId).emit('user-joined', { userId, username, avatar, timestamp: new Date().toISOString() });
     socket.emit('room-state', {
-      participants: room.participants,
-      messages: room.messages.slice(-100),
+      participants: getParticipants(room),
+      messages: room.messages.slice(-MESSAGES_PAGE_SIZE),
+      hasMoreMessages: room.messages.length > MESSAGES_PAGE_SIZE,
+      retention: getRetention(room),
+      schedule: toPublicSchedule(room.schedule),
+      moderation: {
+        slowMode: getModeration(room).slowMode,
+        bannedWords: getModeration(room).bannedWords
+      },
       videoState: {
         url: room.videoUrl,
         isPlaying: room.isPlaying,
-        currentTime: room.currentTime,
-        lastUpdate: room.lastUpdate
+        currentTime: getPlaybackPosition(room, now),
+        lastUpdate: room.lastUpdate,
+        serverTime: now
       },
-      screenSharer: room.screenSharer
+      screenSharer: room.screenSharer,
+      queue: room.queue,
+      hostId: room.hostId,
+      roles: room.roles,
+      permissions: getPermissions(room)
     });
-    io.to(roomId).emit('participants-updated', room.participants);
+    broadcastParticipants(room);
     console.log(`Пользователь ${username} присоединился к комнате ${roomId}`);
   });
 
   socket.on('send-message', (data) => {
-    const { roomId, userId, message } = data;
+    const { roomId, replyTo } = data;
     const room = rooms.get(roomId);
     if (!room) return;
-    const user = room.participants.find(p => p.id === userId);
+    const userData = authorize(socket, room, 'chat');
+    if (!userData) return;
+    const user = room.participants.find(p => p.id === userData.userId);
     if (!user) return;
+    if (rejectIfMuted(socket, room, user.id)) return;
+
+    const message = normalizeMessageText(room, data.message);
+    if (!message) {
+      socket.emit('error', { message: `Сообщение должно быть от 1 до ${MAX_MESSAGE_LENGTH} символов` });
+      return;
+    }
+
+    let reply = null;
+    if (replyTo) {
+      const original = findMessage(room, replyTo);
+      if (!original || original.deleted) {
+        socket.emit('error', { message: 'Сообщение, на которое вы отвечаете, не найдено' });
+        return;
+      }
+      // Копия фрагмента нужна, чтобы цитата оставалась понятной после прокрутки истории
+      reply = {
+        id: original.id,
+        userId: original.userId,
+        username: original.username,
+        message: original.message.slice(0, REPLY_PREVIEW_LENGTH)
+      };
+    }
+    if (rejectBySlowMode(socket, room, user.id)) return;
+
+    // Позицию присылает клиент, а видео берём из комнаты, чтобы таймкод не указывал на чужую ссылку
+    const videoTime = data.videoTime;
+    const videoTimestamp = room.videoUrl && Number.isFinite(videoTime) && videoTime >= 0
+      ? { url: room.videoUrl, time: videoTime }
+      : null;
+
     const messageData = {
       id: uuidv4(),
-      userId,
+      userId: user.id,
       username: user.username,
       avatar: user.avatar,
       message,
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
+      videoTimestamp,
+      replyTo: reply,
+      reactions: {},
+      mentions: findMentions(room, message),
+      editedAt: null,
+      deleted: false
     };
     room.messages.push(messageData);
+    applyRetention(room);
     rooms.set(roomId, room);
     io.to(roomId).emit('new-message', messageData);
+
+    // Ответ тоже уведомляет автора исходного сообщения
+    const notified = [];
+    if (reply && reply.userId !== user.id && !messageData.mentions.some(m => m.id === reply.userId)) {
+      notifyMentions(room, { ...messageData, mentions: [{ id: reply.userId, username: reply.username }] });
+      notified.push(reply.userId);
+    }
+    notifyMentions(room, messageData, notified);
+  });
+
+  socket.on('edit-message', (data) => {
+    const { roomId, messageId } = data;
+    const room = rooms.get(roomId);
+    if (!room) return;
+    const userData = authorize(socket, room, 'chat');
+    if (!userData) return;
+
+    const messageData = findMessage(room, messageId);
+    if (!messageData || messageData.deleted) {
+      socket.emit('error', { message: 'Сообщение не найдено' });
+      return;
+    }
+    if (messageData.userId !== userData.userId) {
+      socket.emit('error', { code: 'FORBIDDEN', message: 'Можно редактировать только свои сообщения' });
+      return;
+    }
+    if (rejectIfMuted(socket, room, userData.userId)) return;
+
+    const message = normalizeMessageText(room, data.message);
+    if (!message) {
+      socket.emit('error', { message: `Сообщение должно быть от 1 до ${MAX_MESSAGE_LENGTH} символов` });
+      return;
+    }
+
+    const previousMentions = messageData.mentions.map(m => m.id);
+    messageData.message = message;
+    messageData.mentions = findMentions(room, message);
+    messageData.editedAt = new Date().toISOString();
+    updateReplyQuotes(room, messageData);
+    rooms.set(roomId, room);
+    broadcastMessageUpdate(room, messageData);
+    notifyMentions(room, messageData, previousMentions);
+  });
+
+  socket.on('delete-message', (data) => {
+    const { roomId, messageId } = data;
+    const room = rooms.get(roomId);
+    const userData = getRoomMember(socket, room);
+    if (!userData) return;
+
+    const messageData = findMessage(room, messageId);
+    if (!messageData || messageData.deleted) {
+      socket.emit('error', { message: 'Сообщение не найдено' });
+      return;
+    }
+    // Свои сообщения удаляет автор, чужие — модераторы (право deleteMessages)
+    const isOwn = messageData.userId === userData.userId;
+    if (!isOwn && !authorize(socket, room, 'deleteMessages')) return;
+    if (!isOwn) {
+      recordModeration(room, userData, 'delete-message', messageData.userId, messageData.message.slice(0, REPLY_PREVIEW_LENGTH));
+    }
+
+    // Оставляем «надгробие», чтобы ответы на сообщение не потеряли контекст
+    messageData.deleted = true;
+    messageData.deletedBy = userData.userId;
+    messageData.message = '';
+    messageData.reactions = {};
+    messageData.mentions = [];
+    updateReplyQuotes(room, messageData);
+    rooms.set(roomId, room);
+    broadcastMessageUpdate(room, messageData);
+  });
+
+  socket.on('toggle-reaction', (data) => {
+    const { roomId, messageId, emoji } = data;
+    const room = rooms.get(roomId);
+    if (!room) return;
+    const userData = authorize(socket, room, 'chat');
+    if (!userData) return;
+    if (rejectIfMuted(socket, room, userData.userId)) return;
+
+    if (!REACTION_EMOJIS.includes(emoji)) {
+      socket.emit('error', { message: 'Недопустимая реакция' });
+      return;
+    }
+    const messageData = findMessage(room, messageId);
+    if (!messageData || messageData.deleted) {
+      socket.emit('error', { message: 'Сообщение не найдено' });
+      return;
+    }
+
+    const users = messageData.reactions[emoji] || [];
+    if (users.includes(userData.userId)) {
+      messageData.reactions[emoji] = users.filter(id => id !== userData.userId);
+      if (messageData.reactions[emoji].length === 0) delete messageData.reactions[emoji];
+    } else {
+      messageData.reactions[emoji] = [...users, userData.userId];
+    }
+    rooms.set(roomId, room);
+    broadcastMessageUpdate(room, messageData);
+  });
+
+  // NTP-подобный обмен: клиент по задержке ответа вычисляет смещение своих часов
+  socket.on('time-sync', (data, callback) => {
+    if (typeof callback !== 'function') return;
+    callback({ clientTime: data && data.clientTime, serverTime: Date.now() });
   });
 
   socket.on('video-control', (data) => {
     const { roomId, action, time, url } = data;
     const room = rooms.get(roomId);
     if (!room) return;
+
+    const permission = action === 'change-video' ? 'changeVideo' : 'controlPlayback';
+    if (!authorize(socket, room, permission)) return;
+    if (action === 'change-video' && !isValidVideoUrl(url)) {
+      socket.emit('error', { message: 'Неверная ссылка на видео' });
+      return;
+    }
+
     const now = Date.now();
+    const reportedAt = getReportedAt(data.timestamp, now);
     switch (action) {
       case 'play':
         room.isPlaying = true;
         room.currentTime = time || 0;
-        room.lastUpdate = now;
+        room.lastUpdate = reportedAt;
         break;
       case 'pause':
         room.isPlaying = false;
         room.currentTime = time || 0;
-        room.lastUpdate = now;
+        room.lastUpdate = reportedAt;
         break;
       case 'seek':
-        room.currentTime = time;
-        room.lastUpdate = now;
+        room.currentTime = time || 0;
+        room.lastUpdate = reportedAt;
         break;
+      case 'sync': {
+        // Периодический отчёт о позиции: рассылку делает heartbeat. В хранилище (и на другие узлы)
+        // позиция уходит с ограничением частоты, смена play/pause — сразу
+        const playStateChanged = room.isPlaying !== !!data.isPlaying;
+        room.isPlaying = !!data.isPlaying;
+        room.currentTime = time || 0;
+        room.lastUpdate = reportedAt;
+        if (playStateChanged || now - (lastSyncPersist.get(roomId) || 0) >= SYNC_PERSIST_INTERVAL) {
+          lastSyncPersist.set(roomId, now);
+          rooms.set(roomId, room);
+        }
+        return;
+      }
       case 'change-video':
+        saveWatchPositions(room);
         room.videoUrl = url;
+        room.videoTitle = data.title || null;
         room.isPlaying = false;
         room.currentTime = 0;
         room.lastUpdate = now;
         break;
     }
     rooms.set(roomId, room);
-    socket.to(roomId).emit('video-update', { ...data, serverTime: now });
+    broadcastRoomStats(room);
+    socket.to(roomId).emit('video-update', {
+      ...data,
+      time: room.currentTime,
+      isPlaying: room.isPlaying,
+      serverTime: room.lastUpdate
+    });
+  });
+
+  socket.on('queue-add', (data) => {
+    const { roomId, url, title } = data;
+    const room = rooms.get(roomId);
+    const userData = authorize(socket, room, 'addToQueue');
+    if (!userData) return;
+
+    if (!isValidVideoUrl(url)) {
+      socket.emit('error', { message: 'Неверная ссылка на видео' });
+      return;
+    }
+    if (room.queue.length >= MAX_QUEUE_LENGTH) {
+      socket.emit('error', { message: 'Очередь переполнена' });
+      return;
+    }
+
+    room.queue.push({
+      id: uuidv4(),
+      url,
+      title: typeof title === 'string' ? title.slice(0, 200) : null,
+      addedBy: { userId: userData.userId, username: userData.username },
+      addedAt: new Date().toISOString(),
+      votes: []
+    });
+    rooms.set(roomId, room);
+    broadcastQueue(room);
+  });
+
+  socket.on('queue-vote', (data) => {
+    const { roomId, itemId } = data;
+    const room = rooms.get(roomId);
+    const userData = getRoomMember(socket, room);
+    if (!userData) return;
+
+    const item = room.queue.find(i => i.id === itemId);
+    if (!item) return;
+
+    // Повторный голос снимает предыдущий
+    if (item.votes.includes(userData.userId)) {
+      item.votes = item.votes.filter(id => id !== userData.userId);
+    } else {
+      item.votes.push(userData.userId);
+    }
+    room.queue = sortQueueByVotes(room.queue);
+    rooms.set(roomId, room);
+    broadcastQueue(room);
+  });
+
+  socket.on('queue-move', (data) => {
+    const { roomId, itemId, toIndex } = data;
+    const room = rooms.get(roomId);
+    if (!authorize(socket, room, 'manageQueue')) return;
+
+    const fromIndex = room.queue.findIndex(i => i.id === itemId);
+    if (fromIndex === -1 || !Number.isInteger(toIndex)) return;
+
+    const [item] = room.queue.splice(fromIndex, 1);
+    room.queue.splice(Math.max(0, Math.min(toIndex, room.queue.length)), 0, item);
+    rooms.set(roomId, room);
+    broadcastQueue(room);
+  });
+
+  socket.on('queue-remove', (data) => {
+    const { roomId, itemId } = data;
+    const room = rooms.get(roomId);
+    const userData = getRoomMember(socket, room);
+    if (!userData) return;
+
+    const item = room.queue.find(i => i.id === itemId);
+    if (!item) return;
+
+    // Свою запись можно удалить всегда, чужую — только с правом управления очередью
+    if (item.addedBy.userId !== userData.userId && !authorize(socket, room, 'manageQueue')) {
+      return;
+    }
+
+    room.queue = room.queue.filter(i => i.id !== itemId);
+    rooms.set(roomId, room);
+    broadcastQueue(room);
+  });
+
+  socket.on('queue-skip', (data) => {
+    const { roomId } = data;
+    const room = rooms.get(roomId);
+    if (!authorize(socket, room, 'manageQueue')) return;
+
+    advanceQueue(room);
+  });
+
+  // Клиенты сообщают длительность видео, как только плеер её узнаёт
+  socket.on('video-duration', (data) => {
+    const { roomId, url, duration } = data;
+    const room = rooms.get(roomId);
+    const userData = getRoomMember(socket, room);
+    if (!userData) return;
+
+    reportVideoDuration(room, userData.userId, url, duration);
+  });
+
+  // Конец видео присылают все участники — переключаемся только по первому сообщению.
+  // Раньше конца по часам сервера переключает только тот, кто управляет очередью;
+  // пропустить видео намеренно — это queue-skip
+  socket.on('video-ended', (data) => {
+    const { roomId, url, duration } = data;
+    const room = rooms.get(roomId);
+    const userData = getRoomMember(socket, room);
+    if (!userData) return;
+    if (!url || url !== room.videoUrl) return;
+
+    reportVideoDuration(room, userData.userId, url, duration);
+    if (!isVideoAtEnd(room) && !can(room, userData.userId, 'manageQueue')) return;
+    advanceQueue(room);
+  });
+
+  // Назначение со-хостов и модераторов
+  socket.on('set-role', (data) => {
+    const { roomId, targetUserId, role } = data;
+    const room = rooms.get(roomId);
+    if (!requireHost(socket, room, 'Назначать роли может только хост')) return;
+
+    if (!ROLES.includes(role) || role === 'host') {
+      socket.emit('error', { message: 'Недопустимая роль' });
+      return;
+    }
+    if (!targetUserId || targetUserId === room.hostId) {
+      socket.emit('error', { message: 'Нельзя изменить роль хоста' });
+      return;
+    }
+
+    if (role === 'viewer') {
+      delete room.roles[targetUserId];
+    } else {
+      room.roles[targetUserId] = role;
+    }
+    rooms.set(roomId, room);
+    broadcastRoles(room);
+  });
+
+  // Передача прав хоста другому участнику; прежний хост становится со-хостом
+  socket.on('transfer-host', (data) => {
+    const { roomId, targetUserId } = data;
+    const room = rooms.get(roomId);
+    const userData = requireHost(socket, room, 'Передать права может только хост');
+    if (!userData) return;
+
+    const target = room.participants.find(p => p.id === targetUserId);
+    if (!target || targetUserId === userData.userId) {
+      socket.emit('error', { message: 'Новый хост должен находиться в комнате' });
+      return;
+    }
+
+    delete room.roles[targetUserId];
+    room.roles[userData.userId] = 'cohost';
+    room.hostId = targetUserId;
+    room.host = target.username;
+    rooms.set(roomId, room);
+
+    const newHost = users.get(targetUserId);
+    if (newHost && !newHost.rooms.includes(roomId)) {
+      newHost.rooms.push(roomId);
+      users.set(targetUserId, newHost);
+    }
+
+    broadcastRoles(room);
+    console.log(`👑 Комната ${roomId}: хост передан пользователю ${target.username}`);
+  });
+
+  socket.on('update-permissions', (data) => {
+    const { roomId, permissions } = data;
+    const room = rooms.get(roomId);
+    if (!requireHost(socket, room, 'Изменять права может только хост')) return;
+
+    room.permissions = normalizePermissions(permissions);
+    rooms.set(roomId, room);
+    broadcastRoles(room);
+  });
+
+  socket.on('update-retention', (data) => {
+    const { roomId, retention } = data;
+    const room = rooms.get(roomId);
+    if (!requireHost(socket, room, 'Изменять хранение истории может только хост')) return;
+
+    room.retention = normalizeRetention(retention);
+    applyRetention(room);
+    rooms.set(roomId, room);
+    io.to(roomId).emit('retention-updated', room.retention);
   });
 
   socket.on('sound-effect', (data) => {
     const { roomId, sound } = data;
+    const room = rooms.get(roomId);
+    const userData = getRoomMember(socket, room);
+    if (!userData || rejectIfMuted(socket, room, userData.userId)) return;
+
+    const now = Date.now();
+    if (now - (socket.data.lastSoundEffectAt || 0) < SOUND_EFFECT_COOLDOWN) return;
+    socket.data.lastSoundEffectAt = now;
     socket.to(roomId).emit('play-sound', sound);
   });
 
+  socket.on('kick-user', (data) => {
+    const { roomId, targetUserId, reason } = data;
+    const room = rooms.get(roomId);
+    const userData = authorizeModeration(socket, room, targetUserId);
+    if (!userData) return;
+
+    if (!room.participants.some(p => p.id === targetUserId)) {
+      socket.emit('error', { message: 'Участник не в комнате' });
+      return;
+    }
+    const cleanReason = typeof reason === 'string' ? reason.trim().slice(0, 200) : '';
+    recordModeration(room, userData, 'kick', targetUserId, cleanReason || null);
+    removeFromRoom(room, targetUserId, 'kicked', { roomId, by: userData.username, reason: cleanReason });
+    console.log(`🚪 ${userData.username} исключил ${targetUserId} из комнаты ${roomId}`);
+  });
+
+  // duration в секундах; 0 снимает заглушение
+  socket.on('mute-user', (data) => {
+    const { roomId, targetUserId } = data;
+    const room = rooms.get(roomId);
+    const userData = authorizeModeration(socket, room, targetUserId);
+    if (!userData) return;
+
+    const duration = Math.floor(Number(data.duration));
+    if (!Number.isFinite(duration) || duration < 0 || duration > MAX_MUTE_DURATION) {
+      socket.emit('error', { message: 'Неверная длительность заглушения' });
+      return;
+    }
+
+    const moderation = getModeration(room);
+    const mutes = { ...moderation.mutes };
+    // Заодно убираем истёкшие заглушения, чтобы список не рос
+    const now = Date.now();
+    Object.keys(mutes).forEach(id => {
+      if (mutes[id] <= now) delete mutes[id];
+    });
+
+    if (duration === 0) {
+      delete mutes[targetUserId];
+      recordModeration(room, userData, 'unmute', targetUserId);
+    } else {
+      mutes[targetUserId] = now + duration * 1000;
+      recordModeration(room, userData, 'mute', targetUserId, `${duration} с`);
+    }
+    room.moderation = { ...moderation, mutes };
+    rooms.set(roomId, room);
+
+    const target = room.participants.find(p => p.id === targetUserId);
+    if (target) {
+      io.to(target.socketId).emit('muted', { until: mutes[targetUserId] || null, by: userData.username });
+    }
+    broadcastParticipants(room);
+  });
+
+  // Бан по ID пользователя: можно заблокировать и того, кто сейчас не в комнате
+  socket.on('ban-user', (data) => {
+    const { roomId, targetUserId, reason } = data;
+    const room = rooms.get(roomId);
+    const userData = authorizeModeration(socket, room, targetUserId);
+    if (!userData) return;
+
+    const target = users.get(targetUserId);
+    if (!target) {
+      socket.emit('error', { message: 'Пользователь не найден' });
+      return;
+    }
+
+    const cleanReason = typeof reason === 'string' ? reason.trim().slice(0, 200) : '';
+    const moderation = getModeration(room);
+    room.moderation = {
+      ...moderation,
+      bans: {
+        ...moderation.bans,
+        [targetUserId]: {
+          username: target.username,
+          bannedBy: userData.username,
+          bannedByRole: getRole(room, userData.userId),
+          reason: cleanReason || null,
+          at: new Date().toISOString()
+        }
+      }
+    };
+    // Бан отменяет выданную роль, чтобы после разбана пользователь вернулся зрителем
+    if (room.roles[targetUserId]) delete room.roles[targetUserId];
+    recordModeration(room, userData, 'ban', targetUserId, cleanReason || null);
+    removeFromRoom(room, targetUserId, 'banned', { roomId, by: userData.username, reason: cleanReason });
+    console.log(`⛔ ${userData.username} забанил ${target.username} в комнате ${roomId}`);
+  });
+
+  socket.on('unban-user', (data) => {
+    const { roomId, targetUserId } = data;
+    const room = rooms.get(roomId);
+    const userData = authorize(socket, room, 'moderate');
+    if (!userData) return;
+
+    const moderation = getModeration(room);
+    const ban = moderation.bans[targetUserId];
+    if (!ban) {
+      socket.emit('error', { message: 'Пользователь не заблокирован' });
+      return;
+    }
+    // Снять бан может только роль не ниже той, что его выдала; у старых банов роль не записана — считаем их хостовыми
+    if (!hasRole(getRole(room, userData.userId), ban.bannedByRole || 'host')) {
+      socket.emit('error', { code: 'FORBIDDEN', action: 'moderate', message: 'Этот бан выдан участником с более высокой ролью' });
+      return;
+    }
+    const bans = { ...moderation.bans };
+    delete bans[targetUserId];
+    room.moderation = { ...moderation, bans };
+    recordModeration(room, userData, 'unban', targetUserId);
+    rooms.set(roomId, room);
+    socket.emit('user-unbanned', { userId: targetUserId });
+  });
+
+  socket.on('update-moderation', (data) => {
+    const { roomId, slowMode, bannedWords } = data;
+    const room = rooms.get(roomId);
+    const userData = authorize(socket, room, 'moderate');
+    if (!userData) return;
+
+    const moderation = getModeration(room);
+    const changes = {};
+    if (slowMode !== undefined) {
+      changes.slowMode = normalizeSlowMode(slowMode);
+      recordModeration(room, userData, 'slow-mode', null, `${changes.slowMode} с`);
+    }
+    if (bannedWords !== undefined) {
+      changes.bannedWords = normalizeBannedWords(bannedWords);
+      recordModeration(room, userData, 'banned-words', null, `${changes.bannedWords.length} слов`);
+    }
+    room.moderation = { ...moderation, ...changes };
+    rooms.set(roomId, room);
+    broadcastModeration(room);
+  });
+
   socket.on('screen-share-start', (data) => {
-    const { roomId, userId, username, quality, delay } = data;
+    const { roomId, quality, delay, hasAudio } = data;
     const room = rooms.get(roomId);
     if (!room) return;
-    room.screenSharer = { userId, username, quality, delay, startedAt: new Date().toISOString() };
+    const userData = authorize(socket, room, 'shareScreen');
+    if (!userData) return;
+    const { userId, username } = userData;
+    if (room.screenSharer && room.screenSharer.userId !== userId) {
+      socket.emit('error', { message: 'Экран уже показывает другой участник' });
+      return;
+    }
+    room.screenSharer = {
+      userId,
+      username,
+      socketId: socket.id,
+      hasAudio: !!hasAudio,
+      quality,
+      delay,
+      startedAt: new Date().toISOString()
+    };
     const participant = room.participants.find(p => p.id === userId);
     if (participant) {
       participant.isSharingScreen = true;
     }
     rooms.set(roomId, room);
     screenSharers.set(userId, { roomId, socketId: socket.id });
-    io.to(roomId).emit('screen-share-start', { userId, username, quality, delay, timestamp: new Date().toISOString() });
-    io.to(roomId).emit('participants-updated', room.participants);
+    io.to(roomId).emit('screen-share-start', {
+      userId,
+      username,
+      socketId: socket.id,
+      hasAudio: !!hasAudio,
+      quality,
+      delay,
+      timestamp: new Date().toISOString()
+    });
+    broadcastParticipants(room);
     console.log(`Пользователь ${username} начал показ экрана в комнате ${roomId}`);
   });
 
+  // Сигнализация WebRTC: пересылаем SDP и ICE-кандидаты участнику той же комнаты
+  socket.on('rtc-signal', (data) => {
+    const { to, channel, type, sdp, candidate } = data || {};
+    const userData = onlineUsers.get(socket.id);
+    const room = userData ? rooms.get(userData.roomId) : null;
+    // Исключённые из комнаты не могут ни отправлять сигналы, ни получать их
+    const sender = getRoomMember(socket, room);
+    if (!sender || !room.participants.some(p => p.socketId === to)) return;
+    if (!RTC_CHANNELS.includes(channel) || !RTC_SIGNAL_TYPES.includes(type)) return;
+    if (channel === 'voice') {
+      const participant = getVoiceParticipant(socket, room);
+      if (!participant || !participant.voice) return;
+    }
+
+    io.to(to).emit('rtc-signal', {
+      from: socket.id,
+      fromUserId: sender.userId,
+      channel,
+      type,
+      sdp,
+      candidate
+    });
+  });
+
+  // Голосовой и видеочат. Новый участник получает список сокетов тех, кто уже в чате,
+  // и сам предлагает им соединение через rtc-signal (канал voice)
+  socket.on('voice-join', (data, callback) => {
+    const { roomId, video } = data;
+    const room = rooms.get(roomId);
+    if (!authorize(socket, room, 'voiceChat')) return;
+    const participant = getVoiceParticipant(socket, room);
+    if (!participant) return;
+
+    const peers = room.participants.filter(p => p.voice && p.id !== participant.id);
+    if (!participant.voice && peers.length >= MAX_VOICE_PARTICIPANTS) {
+      socket.emit('error', { message: `В голосовом чате может быть не больше ${MAX_VOICE_PARTICIPANTS} участников` });
+      return;
+    }
+
+    participant.voice = { muted: false, deafened: false, video: !!video };
+    rooms.set(roomId, room);
+    broadcastParticipants(room);
+
+    if (typeof callback === 'function') {
+      callback({ peers: peers.map(p => p.socketId) });
+    }
+  });
+
+  socket.on('voice-state', (data) => {
+    const { roomId } = data;
+    const room = rooms.get(roomId);
+    const participant = getVoiceParticipant(socket, room);
+    if (!participant || !participant.voice) return;
+
+    ['muted', 'deafened', 'video'].forEach(key => {
+      if (typeof data[key] === 'boolean') participant.voice[key] = data[key];
+    });
+    rooms.set(roomId, room);
+    broadcastParticipants(room);
+  });
+
+  // Индикатор речи меняется часто, поэтому только пересылается и не сохраняется
+  socket.on('voice-speaking', (data) => {
+    const { roomId, speaking } = data;
+    const room = rooms.get(roomId);
+    const participant = getVoiceParticipant(socket, room);
+    if (!participant || !participant.voice) return;
+
+    socket.to(roomId).emit('voice-speaking', { userId: participant.id, speaking: !!speaking });
+  });
+
+  socket.on('voice-leave', (data) => {
+    const { roomId } = data;
+    const room = rooms.get(roomId);
+    const participant = getVoiceParticipant(socket, room);
+    if (!participant || !participant.voice) return;
+
+    participant.voice = null;
+    rooms.set(roomId, room);
+    socket.to(roomId).emit('voice-left', { userId: participant.id, socketId: socket.id });
+    broadcastParticipants(room);
+  });
+
+  // Запасной канал для браузеров, где WebRTC-соединение не установилось
   socket.on('screen-frame', (data) => {
-    const { roomId, userId, frame, timestamp, width, height } = data;
-    socket.to(roomId).emit('screen-frame', { userId, frame, timestamp, width, height });
+    const { roomId, frame, timestamp, width, height } = data;
+    const room = rooms.get(roomId);
+    const userData = getRoomMember(socket, room);
+    if (!userData || !room.screenSharer || room.screenSharer.userId !== userData.userId) return;
+    socket.to(roomId).emit('screen-frame', { userId: userData.userId, frame, timestamp, width, height });
   });
 
   socket.on('screen-share-stop', (data) => {
-    const { roomId, userId } = data;
+    const { roomId } = data;
     const room = rooms.get(roomId);
-    if (!room) return;
-    if (room.screenSharer && room.screenSharer.userId === userId) {
-      room.screenSharer = null;
+    const userData = getRoomMember(socket, room);
+    if (!userData) return;
+
+    // Остановить показ может сам показывающий или модератор (указав targetUserId)
+    const userId = data.targetUserId || userData.userId;
+    if (userData.userId !== userId && !can(room, userData.userId, 'moderate')) {
+      socket.emit('error', { code: 'FORBIDDEN', action: 'moderate', message: PERMISSION_ERRORS.moderate });
+      return;
     }
+    // Остановка от того, кто не показывает экран, иначе сбросила бы показ у всех зрителей
+    if (!room.screenSharer || room.screenSharer.userId !== userId) return;
+
+    room.screenSharer = null;
     const participant = room.participants.find(p => p.id === userId);
     if (participant) {
       participant.isSharingScreen = false;
@@ -761,22 +3409,26 @@ io.on('connection', (socket) => {
     rooms.set(roomId, room);
     screenSharers.delete(userId);
     io.to(roomId).emit('screen-share-stop', { userId, timestamp: new Date().toISOString() });
-    io.to(roomId).emit('participants-updated', room.participants);
+    broadcastParticipants(room);
     console.log(`Пользователь ${userId} остановил показ экрана в комнате ${roomId}`);
   });
 
   socket.on('leave-room', (data) => {
-    const { roomId, userId } = data;
+    const userData = onlineUsers.get(socket.id);
+    if (!userData) return;
+    const { roomId, userId } = userData;
     const room = rooms.get(roomId);
     if (room) {
+      updateWatchHistory(userId, room);
       if (room.screenSharer && room.screenSharer.userId === userId) {
         room.screenSharer = null;
         io.to(roomId).emit('screen-share-stop', { userId, timestamp: new Date().toISOString() });
       }
       room.participants = room.participants.filter(p => p.id !== userId);
+      room.lastActivityAt = new Date().toISOString();
       rooms.set(roomId, room);
-      socket.to(roomId).emit('user-left', { userId, timestamp: new Date().toISOString() });
-      io.to(roomId).emit('participants-updated', room.participants);
+      socket.to(roomId).emit('user-left', { userId, socketId: socket.id, timestamp: new Date().toISOString() });
+      broadcastParticipants(room);
     }
     screenSharers.delete(userId);
     onlineUsers.delete(socket.id);
@@ -789,14 +3441,16 @@ io.on('connection', (socket) => {
       const { userId, roomId } = userData;
       const room = rooms.get(roomId);
       if (room) {
+        updateWatchHistory(userId, room);
         if (room.screenSharer && room.screenSharer.userId === userId) {
           room.screenSharer = null;
           io.to(roomId).emit('screen-share-stop', { userId, timestamp: new Date().toISOString() });
         }
         room.participants = room.participants.filter(p => p.socketId !== socket.id);
+        room.lastActivityAt = new Date().toISOString();
         rooms.set(roomId, room);
-        io.to(roomId).emit('participants-updated', room.participants);
-        io.to(roomId).emit('user-left', { userId, timestamp: new Date().toISOString() });
+        broadcastParticipants(room);
+        io.to(roomId).emit('user-left', { userId, socketId: socket.id, timestamp: new Date().toISOString() });
       }
       screenSharers.delete(userId);
       onlineUsers.delete(socket.id);
@@ -806,8 +3460,55 @@ io.on('connection', (socket) => {
 });
 
 // Запуск сервера
-server.listen(PORT, HOST, () => {
-  console.log(`🚀 Сервер запущен на порту ${PORT}`);
-  console.log(`🌐 Хост: ${HOST}`);
-  console.log(`✅ Health check: http://localhost:${PORT}/health`);
+async function start() {
+  await cluster.connect();
+  cluster.attachSocketAdapter(io);
+  await storage.init();
+  await onlineUsers.init();
+  if (process.env.SEED_DEMO !== 'false') {
+    await seed(storage);
+  }
+
+  // Ждём, пока другие узлы пришлют свои сокеты, чтобы не удалить их участников
+  if (cluster.redis) {
+    await new Promise(resolve => setTimeout(resolve, PRESENCE_SYNC_DELAY));
+  }
+  pruneRoomPresence();
+
+  server.listen(PORT, HOST, () => {
+    console.log(`🚀 Сервер запущен на порту ${PORT}`);
+    console.log(`🌐 Хост: ${HOST}`);
+    console.log(`✅ Health check: http://localhost:${PORT}/health`);
+  });
+}
+
+// Сохраняем данные перед остановкой (Render посылает SIGTERM при деплое)
+async function shutdown(signal) {
+  console.log(`🛑 Получен ${signal}, сохраняем данные...`);
+  try {
+    // Участники с этого узла больше не в комнатах, остальные узлы узнают об этом через шину
+    onlineUsers.localEntries().forEach(([socketId, { roomId }]) => {
+      const room = rooms.get(roomId);
+      if (!room) return;
+      room.participants = room.participants.filter(p => p.socketId !== socketId);
+      if (room.screenSharer && room.screenSharer.socketId === socketId) {
+        room.screenSharer = null;
+      }
+      rooms.set(roomId, room);
+    });
+    await onlineUsers.close();
+    await storage.close();
+    await cluster.close();
+  } catch (error) {
+    console.error('❌ Ошибка сохранения данных при остановке:', error);
+  }
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+start().catch(error => {
+  console.error('❌ Не удалось запустить сервер:', error);
+  process.exit(1);
 });
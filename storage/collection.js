@@ -0,0 +1,103 @@
+/**
+ * Коллекция записей с интерфейсом Map.
+ * Любое изменение сообщает хранилищу, что данные нужно сохранить
+ * и разослать другим узлам.
+ */
+class Collection {
+  /**
+   * @param {string} name - Имя коллекции
+   * @param {Function} onChange - Вызывается после каждого изменения (name, id)
+   */
+  constructor(name, onChange) {
+    this.name = name;
+    this.records = new Map();
+    this.onChange = onChange || (() => {});
+  }
+
+  /**
+   * Заменяет содержимое коллекции записями из снимка
+   * @param {Object} records - Объект вида { id: запись }
+   */
+  load(records) {
+    this.records = new Map(Object.entries(records || {}));
+  }
+
+  get(id) {
+    return this.records.get(id);
+  }
+
+  has(id) {
+    return this.records.has(id);
+  }
+
+  set(id, value) {
+    this.records.set(id, value);
+    this.onChange(this.name, id);
+    return this;
+  }
+
+  delete(id) {
+    const deleted = this.records.delete(id);
+    if (deleted) this.onChange(this.name, id);
+    return deleted;
+  }
+
+  /**
+   * Применяет изменение, пришедшее с другого узла, без повторной рассылки
+   * @param {string} id - ID записи
+   * @param {Object|null} record - Новая запись или null, если запись удалена
+   */
+  apply(id, record) {
+    if (record === null) {
+      this.records.delete(id);
+    } else {
+      this.records.set(id, record);
+    }
+  }
+
+  values() {
+    return this.records.values();
+  }
+
+  keys() {
+    return this.records.keys();
+  }
+
+  entries() {
+    return this.records.entries();
+  }
+
+  forEach(callback) {
+    this.records.forEach(callback);
+  }
+
+  get size() {
+    return this.records.size;
+  }
+
+  /**
+   * Ищет первую запись, удовлетворяющую условию
+   * @param {Function} predicate - Условие поиска
+   * @returns {Object|undefined} Найденная запись
+   */
+  find(predicate) {
+    for (const record of this.records.values()) {
+      if (predicate(record)) return record;
+    }
+    return undefined;
+  }
+
+  /**
+   * Отмечает запись как изменённую без повторного set()
+   * @param {string} id - ID записи
+   */
+  touch(id) {
+    this.onChange(this.name, id);
+  }
+
+  toJSON() {
+    return Object.fromEntries(this.records);
+  }
+}
+
+module.exports = { Collection };
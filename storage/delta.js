@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+
+/**
+ * Разница между версиями записи для рассылки другим узлам.
+ * Запись сравнивается по полям верхнего уровня; массивы (сообщения, очередь,
+ * журнал) — по элементам: новое значение описывается как
+ * old.slice(drop, drop + keep) плюс items. Так новое сообщение чата уходит
+ * одним элементом, а не всей историей комнаты.
+ *
+ * Состояние записи (state) — её поля в виде JSON-строк, у массивов — массив
+ * строк по элементам; по нему считается разница со следующей версией.
+ * Хэш состояния позволяет получателю убедиться, что изменения считались
+ * от той же версии записи, что хранится у него.
+ */
+
+function toState(value) {
+  return Array.isArray(value) ? value.map(item => JSON.stringify(item)) : JSON.stringify(value);
+}
+
+/**
+ * Состояние записи для последующего сравнения
+ * @param {Object} record - Запись
+ * @returns {Object} { поле: JSON-строка | JSON-строки элементов }
+ */
+function createRecordState(record) {
+  const state = {};
+  Object.entries(record).forEach(([field, value]) => {
+    if (value !== undefined) state[field] = toState(value);
+  });
+  return state;
+}
+
+/**
+ * Хэш состояния записи, не зависящий от порядка полей
+ * @param {Object} state - Состояние записи
+ * @returns {string}
+ */
+function hashState(state) {
+  const hash = crypto.createHash('sha1');
+  Object.keys(state).sort().forEach(field => {
+    const value = state[field];
+    hash.update(`${field}${Array.isArray(value) ? '[]' : '='}\n`);
+    [].concat(value).forEach(item => hash.update(`${item}\n`));
+  });
+  return hash.digest('base64');
+}
+
+// Как получить новый массив из старого: сдвиг начала (обрезка старых элементов),
+// совпадающая часть и новые элементы в конце
+function diffArray(previous, next) {
+  let drop = next.length > 0 ? previous.indexOf(next[0]) : previous.length;
+  if (drop === -1) drop = previous.length;
+  let keep = 0;
+  while (keep < next.length && drop + keep < previous.length && previous[drop + keep] === next[keep]) {
+    keep++;
+  }
+  if (drop === 0 && keep === previous.length && keep === next.length) return null;
+  return { drop, keep };
+}
+
+/**
+ * Сравнивает запись с предыдущим состоянием
+ * @param {Object} state - Состояние предыдущей версии
+ * @param {Object} record - Текущая запись
+ * @returns {{ patch: Object|null, state: Object }} Изменения (null, если их нет) и новое состояние
+ */
+function diffRecord(state, record) {
+  const nextState = createRecordState(record);
+  const set = {};
+  const splice = {};
+  const unset = Object.keys(state).filter(field => !(field in nextState));
+
+  Object.entries(nextState).forEach(([field, value]) => {
+    const previous = state[field];
+    if (Array.isArray(value) && Array.isArray(previous)) {
+      const change = diffArray(previous, value);
+      if (change) {
+        splice[field] = { drop: change.drop, keep: change.keep, items: record[field].slice(change.keep) };
+      }
+    } else if (Array.isArray(value) || value !== previous) {
+      set[field] = record[field];
+    }
+  });
+
+  const changed = unset.length > 0 || Object.keys(set).length > 0 || Object.keys(splice).length > 0;
+  return { patch: changed ? { set, unset, splice } : null, state: nextState };
+}
+
+/**
+ * Применяет изменения к записи на месте, чтобы ссылки на неё оставались действительными
+ * @param {Object} record - Запись той версии, от которой считались изменения
+ * @param {Object} patch - Результат diffRecord
+ * @returns {Object} Та же запись
+ */
+function applyRecordPatch(record, { set, unset, splice }) {
+  unset.forEach(field => delete record[field]);
+  Object.assign(record, set);
+  Object.entries(splice).forEach(([field, { drop, keep, items }]) => {
+    record[field] = (record[field] || []).slice(drop, drop + keep).concat(items);
+  });
+  return record;
+}
+
+/**
+ * То же для состояния записи — без повторной сериализации всей записи
+ * @param {Object} state - Состояние записи до изменений
+ * @param {Object} patch - Результат diffRecord
+ * @returns {Object} Новое состояние
+ */
+function applyStatePatch(state, { set, unset, splice }) {
+  const nextState = { ...state };
+  unset.forEach(field => delete nextState[field]);
+  Object.entries(set).forEach(([field, value]) => {
+    nextState[field] = toState(value);
+  });
+  Object.entries(splice).forEach(([field, { drop, keep, items }]) => {
+    nextState[field] = (state[field] || []).slice(drop, drop + keep).concat(toState(items));
+  });
+  return nextState;
+}
+
+module.exports = {
+  createRecordState,
+  hashState,
+  diffRecord,
+  applyRecordPatch,
+  applyStatePatch
+};
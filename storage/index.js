@@ -0,0 +1,277 @@
+const path = require('path');
+const { Collection } = require('./collection');
+const { MemoryAdapter } = require('./memory-adapter');
+const { JsonFileAdapter } = require('./json-adapter');
+const { RedisAdapter } = require('./redis-adapter');
+const { migrate } = require('./migrations');
+const { createRecordState, hashState, diffRecord, applyRecordPatch, applyStatePatch } = require('./delta');
+
+const DEFAULT_DATA_FILE = path.join(__dirname, '..', '.data', 'syncview.json');
+
+/**
+ * Хранилище приложения: набор коллекций поверх подключаемого адаптера.
+ * Адаптер умеет только загрузить и сохранить снимок целиком,
+ * поэтому новый бэкенд (SQLite, Postgres) реализует два метода: load() и save().
+ * Общий для нескольких узлов адаптер (Redis) реализует ещё saveRecords(changes):
+ * тогда каждый узел сохраняет только записи, изменённые им самим, и не затирает
+ * чужие изменения своим снимком.
+ *
+ * Если передана шина, каждое изменение записи рассылается другим узлам,
+ * и они обновляют свои копии. Рассылаются только изменённые поля (см. delta.js)
+ * вместе с хэшем версии, от которой они посчитаны. Если копия у получателя
+ * другая (узел только запущен или записи разошлись), он запрашивает запись
+ * целиком у отправителя. При одновременной записи побеждает последняя.
+ */
+class Storage {
+  /**
+   * @param {Object} adapter - Адаптер с методами load(), save(snapshot), close() и, возможно, saveRecords(changes, schemaVersion)
+   * @param {Object} options - Настройки
+   * @param {number} options.flushDelay - Задержка перед сохранением изменений (мс)
+   * @param {Object} [options.bus] - Шина для синхронизации с другими узлами
+   * @param {string} [options.nodeId] - ID текущего узла
+   */
+  constructor(adapter, { flushDelay = 500, bus = null, nodeId = null } = {}) {
+    this.adapter = adapter;
+    this.flushDelay = flushDelay;
+    this.bus = bus;
+    this.nodeId = nodeId;
+    this.collections = new Map();
+    this.schemaVersion = 0;
+    this.flushTimer = null;
+    this.pendingWrite = Promise.resolve();
+    // Записи, изменённые на этом узле с последнего сохранения: { коллекция: Set(id) }
+    this.dirty = new Map();
+    this.fullSaveNeeded = false;
+    // Для синхронизации узлов: { state, hash } последней разосланной или полученной версии записи
+    this.replicas = new Map();
+    this.pendingRequests = new Set();
+  }
+
+  /**
+   * Загружает данные и применяет миграции
+   */
+  async init() {
+    const snapshot = await this.adapter.load();
+    const { data, applied } = migrate(snapshot);
+
+    this.schemaVersion = data.schemaVersion;
+    Object.entries(data.collections).forEach(([name, records]) => {
+      this.collection(name).load(records);
+    });
+
+    if (applied.length > 0) {
+      console.log('🗄️ Применены миграции:', applied.join(', '));
+      this.fullSaveNeeded = true;
+      await this.flush();
+    }
+
+    if (this.bus) {
+      this.collections.forEach((collection, name) => {
+        collection.forEach((record, id) => this.setReplica(name, id, createRecordState(record)));
+      });
+      await this.bus.subscribe('storage', (message) => {
+        if (message.nodeId === this.nodeId) return;
+        this.handleMessage(message);
+      });
+    }
+  }
+
+  setReplica(name, id, state) {
+    this.replicas.set(`${name}:${id}`, { state, hash: hashState(state) });
+  }
+
+  publish(message) {
+    this.bus.publish('storage', { ...message, nodeId: this.nodeId })
+      .catch(error => console.error('❌ Ошибка рассылки изменений:', error));
+  }
+
+  publishRecord(name, id) {
+    const record = this.collection(name).get(id);
+    this.publish({ type: 'record', collection: name, id, record: record === undefined ? null : record });
+  }
+
+  handleMessage(message) {
+    const { collection: name, id } = message;
+    const key = `${name}:${id}`;
+    const collection = this.collection(name);
+
+    switch (message.type) {
+      case 'record':
+        this.pendingRequests.delete(key);
+        collection.apply(id, message.record);
+        if (message.record === null) {
+          this.replicas.delete(key);
+        } else {
+          this.setReplica(name, id, createRecordState(message.record));
+        }
+        break;
+      case 'patch': {
+        const replica = this.replicas.get(key);
+        const record = collection.get(id);
+        if (!replica || !record || replica.hash !== message.baseHash) {
+          // Копии не совпадают: запрашиваем запись целиком, дальнейшие изменения до ответа пропускаем
+          if (!this.pendingRequests.has(key)) {
+            this.pendingRequests.add(key);
+            this.publish({ type: 'record-request', collection: name, id, from: message.nodeId });
+          }
+          return;
+        }
+        applyRecordPatch(record, message.patch);
+        this.setReplica(name, id, applyStatePatch(replica.state, message.patch));
+        break;
+      }
+      case 'record-request':
+        if (message.from === this.nodeId) this.publishRecord(name, id);
+        break;
+    }
+  }
+
+  /**
+   * Возвращает коллекцию по имени, создавая её при необходимости
+   * @param {string} name - Имя коллекции
+   * @returns {Collection} Коллекция
+   */
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Collection(name, (collectionName, id) => this.handleChange(collectionName, id)));
+    }
+    return this.collections.get(name);
+  }
+
+  handleChange(name, id) {
+    if (id === undefined) {
+      this.fullSaveNeeded = true;
+    } else {
+      if (!this.dirty.has(name)) this.dirty.set(name, new Set());
+      this.dirty.get(name).add(id);
+    }
+    this.scheduleFlush();
+
+    if (this.bus && id !== undefined) {
+      this.publishChange(name, id);
+    }
+  }
+
+  publishChange(name, id) {
+    const key = `${name}:${id}`;
+    const record = this.collection(name).get(id);
+    const replica = this.replicas.get(key);
+
+    if (record === undefined || !replica) {
+      // Новая или удалённая запись уходит целиком
+      if (record === undefined) {
+        this.replicas.delete(key);
+      } else {
+        this.setReplica(name, id, createRecordState(record));
+      }
+      this.publishRecord(name, id);
+      return;
+    }
+
+    const { patch, state } = diffRecord(replica.state, record);
+    if (!patch) return;
+    this.setReplica(name, id, state);
+    this.publish({ type: 'patch', collection: name, id, baseHash: replica.hash, patch });
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch(error => console.error('❌ Ошибка сохранения данных:', error));
+    }, this.flushDelay);
+  }
+
+  /**
+   * Немедленно сохраняет изменения через адаптер: изменённые записи,
+   * если адаптер это умеет, иначе все коллекции снимком
+   */
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    const write = this.adapter.saveRecords && !this.fullSaveNeeded
+      ? this.takeChanges()
+      : this.takeSnapshot();
+
+    // Записи выполняются строго по очереди, чтобы старый снимок не перезаписал новый
+    this.pendingWrite = this.pendingWrite
+      .catch(() => {})
+      .then(write);
+    return this.pendingWrite;
+  }
+
+  takeSnapshot() {
+    const snapshot = {
+      schemaVersion: this.schemaVersion,
+      savedAt: new Date().toISOString(),
+      collections: {}
+    };
+    this.collections.forEach((collection, name) => {
+      snapshot.collections[name] = collection.toJSON();
+    });
+    this.dirty.clear();
+    this.fullSaveNeeded = false;
+    return () => this.adapter.save(snapshot);
+  }
+
+  // Записи сериализуются сразу: до записи в адаптер их могут изменить на месте
+  takeChanges() {
+    const changes = {};
+    this.dirty.forEach((ids, name) => {
+      const collection = this.collection(name);
+      changes[name] = {};
+      ids.forEach(id => {
+        const record = collection.get(id);
+        changes[name][id] = record === undefined ? null : JSON.parse(JSON.stringify(record));
+      });
+    });
+    this.dirty.clear();
+    const schemaVersion = this.schemaVersion;
+    return () => (Object.keys(changes).length > 0 ? this.adapter.saveRecords(changes, schemaVersion) : undefined);
+  }
+
+  async close() {
+    await this.flush();
+    await this.adapter.close();
+  }
+}
+
+/**
+ * Создает хранилище с адаптером по имени драйвера
+ * @param {Object} options - Настройки
+ * @param {string} options.driver - json (по умолчанию), memory или redis
+ * @param {string} options.file - Путь к файлу для json-адаптера
+ * @param {Object} options.redisClient - Клиент redis для redis-адаптера
+ * @param {Object} options.bus - Шина синхронизации узлов
+ * @param {string} options.nodeId - ID текущего узла
+ * @returns {Storage} Хранилище
+ */
+function createStorage({ driver = 'json', file = DEFAULT_DATA_FILE, flushDelay, redisClient, bus, nodeId } = {}) {
+  const options = { flushDelay, bus, nodeId };
+
+  switch (driver) {
+    case 'memory':
+      return new Storage(new MemoryAdapter(), options);
+    case 'json':
+      return new Storage(new JsonFileAdapter(file || DEFAULT_DATA_FILE), options);
+    case 'redis':
+      if (!redisClient) {
+        throw new Error('Для драйвера redis нужен REDIS_URL');
+      }
+      return new Storage(new RedisAdapter(redisClient), options);
+    default:
+      throw new Error(`Неизвестный драйвер хранилища: ${driver}`);
+  }
+}
+
+module.exports = {
+  Storage,
+  Collection,
+  MemoryAdapter,
+  JsonFileAdapter,
+  RedisAdapter,
+  createStorage
+};
@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Адаптер, сохраняющий снимок данных в JSON-файл.
+ * Запись атомарная: сначала во временный файл, затем переименование.
+ */
+class JsonFileAdapter {
+  /**
+   * @param {string} file - Путь к файлу с данными
+   */
+  constructor(file) {
+    this.file = file;
+  }
+
+  async load() {
+    try {
+      const raw = await fs.promises.readFile(this.file, 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async save(snapshot) {
+    const dir = path.dirname(this.file);
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const tmpFile = `${this.file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpFile, JSON.stringify(snapshot, null, 2), 'utf8');
+    await fs.promises.rename(tmpFile, this.file);
+  }
+
+  async close() {}
+}
+
+module.exports = { JsonFileAdapter };
@@ -0,0 +1,21 @@
+/**
+ * Адаптер, хранящий снимок данных в памяти процесса.
+ * Подходит для тестов и локальных экспериментов: после перезапуска всё теряется.
+ */
+class MemoryAdapter {
+  constructor(initialSnapshot = null) {
+    this.snapshot = initialSnapshot;
+  }
+
+  async load() {
+    return this.snapshot ? JSON.parse(JSON.stringify(this.snapshot)) : null;
+  }
+
+  async save(snapshot) {
+    this.snapshot = JSON.parse(JSON.stringify(snapshot));
+  }
+
+  async close() {}
+}
+
+module.exports = { MemoryAdapter };
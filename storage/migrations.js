@@ -0,0 +1,200 @@
+const bcrypt = require('bcryptjs');
+const { DEFAULT_PERMISSIONS } = require('../lib/permissions');
+const { DEFAULT_RETENTION } = require('../lib/retention');
+const { createModeration } = require('../lib/moderation');
+const { DEMO_EMAIL, DEMO_ROOM_NAME } = require('./seed');
+
+/**
+ * Миграции схемы данных.
+ * Каждая миграция получает снимок { schemaVersion, collections } и изменяет его на месте.
+ * Новые миграции добавляются только в конец списка с увеличением версии.
+ */
+const migrations = [
+  {
+    version: 1,
+    name: 'initial-collections',
+    up(data) {
+      data.collections.users = data.collections.users || {};
+      data.collections.rooms = data.collections.rooms || {};
+    }
+  },
+  {
+    version: 2,
+    name: 'room-queue',
+    up(data) {
+      Object.values(data.collections.rooms).forEach(room => {
+        room.queue = room.queue || [];
+      });
+    }
+  },
+  {
+    version: 3,
+    name: 'room-roles',
+    up(data) {
+      Object.values(data.collections.rooms).forEach(room => {
+        room.roles = room.roles || {};
+        room.permissions = { ...DEFAULT_PERMISSIONS, ...room.permissions };
+      });
+    }
+  },
+  {
+    version: 4,
+    name: 'room-password-hash',
+    up(data) {
+      Object.values(data.collections.rooms).forEach(room => {
+        room.passwordHash = room.password ? bcrypt.hashSync(room.password, 10) : (room.passwordHash || null);
+        delete room.password;
+      });
+    }
+  },
+  {
+    version: 5,
+    name: 'rich-messages',
+    up(data) {
+      Object.values(data.collections.rooms).forEach(room => {
+        room.messages = (room.messages || []).map(message => ({
+          replyTo: null,
+          reactions: {},
+          mentions: [],
+          editedAt: null,
+          deleted: false,
+          ...message
+        }));
+      });
+    }
+  },
+  {
+    version: 6,
+    name: 'message-retention',
+    up(data) {
+      Object.values(data.collections.rooms).forEach(room => {
+        room.retention = { ...DEFAULT_RETENTION, ...room.retention };
+      });
+    }
+  },
+  {
+    version: 7,
+    name: 'room-moderation',
+    up(data) {
+      Object.values(data.collections.rooms).forEach(room => {
+        room.moderation = { ...createModeration(), ...room.moderation };
+        room.auditLog = room.auditLog || [];
+      });
+    }
+  },
+  {
+    version: 8,
+    name: 'room-lifecycle',
+    up(data) {
+      Object.values(data.collections.rooms).forEach(room => {
+        room.lastActivityAt = room.lastActivityAt || room.createdAt;
+        room.archived = !!room.archived;
+        room.archivedAt = room.archivedAt || null;
+        room.accessVersion = room.accessVersion || 0;
+      });
+    }
+  },
+  {
+    version: 9,
+    name: 'room-discovery',
+    up(data) {
+      Object.values(data.collections.rooms).forEach(room => {
+        room.description = room.description || '';
+        room.category = room.category || 'other';
+        room.tags = room.tags || [];
+        room.videoTitle = room.videoTitle || null;
+      });
+    }
+  },
+  {
+    version: 10,
+    name: 'room-schedule',
+    up(data) {
+      Object.values(data.collections.rooms).forEach(room => {
+        room.schedule = room.schedule || null;
+      });
+    }
+  },
+  {
+    version: 11,
+    name: 'room-invites',
+    up(data) {
+      Object.values(data.collections.rooms).forEach(room => {
+        room.invites = room.invites || {};
+      });
+    }
+  },
+  {
+    version: 12,
+    name: 'email-verification',
+    up(data) {
+      Object.values(data.collections.users).forEach(user => {
+        user.emailVerified = !!user.emailVerified;
+        user.emailVerifiedAt = user.emailVerifiedAt || null;
+      });
+    }
+  },
+  {
+    version: 13,
+    name: 'user-oidc',
+    up(data) {
+      Object.values(data.collections.users).forEach(user => {
+        user.oidc = user.oidc || null;
+      });
+    }
+  },
+  {
+    version: 14,
+    name: 'normalize-emails',
+    // Адрес достаётся самому старому аккаунту; у более поздних дублей (Bob@x.com и bob@x.com)
+    // email остаётся как был, войти в них по паролю нельзя — их нужно разобрать вручную
+    up(data) {
+      const taken = new Set();
+      Object.values(data.collections.users)
+        .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+        .forEach(user => {
+          const email = String(user.email || '').trim().toLowerCase();
+          if (taken.has(email)) return;
+          taken.add(email);
+          user.email = email;
+        });
+    }
+  },
+  {
+    version: 15,
+    name: 'room-permanent',
+    // Демо-комнату, созданную seed до появления флага, тоже не удаляем за простой
+    up(data) {
+      const demoUser = Object.values(data.collections.users).find(user => user.email === DEMO_EMAIL);
+      Object.values(data.collections.rooms).forEach(room => {
+        const isDemoRoom = !!demoUser && room.hostId === demoUser.id && room.name === DEMO_ROOM_NAME;
+        room.permanent = !!room.permanent || isDemoRoom;
+      });
+    }
+  }
+];
+
+/**
+ * Применяет к снимку все миграции новее его версии
+ * @param {Object|null} snapshot - Загруженный снимок или null для пустого хранилища
+ * @returns {{ data: Object, applied: string[] }} Обновлённый снимок и список применённых миграций
+ */
+function migrate(snapshot) {
+  const data = snapshot || {};
+  data.schemaVersion = data.schemaVersion || 0;
+  data.collections = data.collections || {};
+
+  const applied = [];
+  migrations
+    .filter(migration => migration.version > data.schemaVersion)
+    .sort((a, b) => a.version - b.version)
+    .forEach(migration => {
+      migration.up(data);
+      data.schemaVersion = migration.version;
+      applied.push(`${migration.version}-${migration.name}`);
+    });
+
+  return { data, applied };
+}
+
+module.exports = { migrations, migrate };
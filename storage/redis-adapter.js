@@ -0,0 +1,104 @@
+/**
+ * Адаптер, хранящий данные в Redis, общий для всех узлов.
+ * Каждая коллекция — отдельный hash (id → JSON записи), поэтому узел записывает
+ * только изменённые им записи и не затирает то, что за это время записали другие.
+ * Новый узел загружает данные при старте, а текущие изменения между узлами
+ * передаются через шину (см. Storage).
+ */
+class RedisAdapter {
+  /**
+   * @param {Object} client - Подключенный клиент redis
+   * @param {string} prefix - Префикс ключей
+   * @param {string} legacyKey - Ключ снимка целиком, в котором данные хранились раньше
+   */
+  constructor(client, prefix = 'syncview:storage:', legacyKey = 'syncview:snapshot') {
+    this.client = client;
+    this.prefix = prefix;
+    this.legacyKey = legacyKey;
+  }
+
+  get metaKey() {
+    return `${this.prefix}meta`;
+  }
+
+  get collectionsKey() {
+    return `${this.prefix}collections`;
+  }
+
+  recordsKey(name) {
+    return `${this.prefix}records:${name}`;
+  }
+
+  async load() {
+    const [meta, names] = await Promise.all([
+      this.client.hGetAll(this.metaKey),
+      this.client.sMembers(this.collectionsKey)
+    ]);
+    if (!meta.schemaVersion) {
+      // Данные в старом формате переносятся в hash'и при первом сохранении после миграций
+      const raw = await this.client.get(this.legacyKey);
+      return raw ? JSON.parse(raw) : null;
+    }
+
+    const collections = {};
+    await Promise.all(names.map(async name => {
+      const records = await this.client.hGetAll(this.recordsKey(name));
+      collections[name] = {};
+      Object.entries(records).forEach(([id, raw]) => {
+        collections[name][id] = JSON.parse(raw);
+      });
+    }));
+    return { schemaVersion: Number(meta.schemaVersion), savedAt: meta.savedAt || null, collections };
+  }
+
+  /**
+   * Перезаписывает все данные снимком. Используется после миграций,
+   * в обычной работе узлы сохраняют только свои изменения (saveRecords)
+   * @param {Object} snapshot - { schemaVersion, savedAt, collections }
+   */
+  async save(snapshot) {
+    const transaction = this.client.multi();
+    Object.entries(snapshot.collections).forEach(([name, records]) => {
+      const key = this.recordsKey(name);
+      transaction.del(key);
+      transaction.sAdd(this.collectionsKey, name);
+      const values = serializeRecords(records);
+      if (Object.keys(values).length > 0) transaction.hSet(key, values);
+    });
+    transaction.hSet(this.metaKey, { schemaVersion: String(snapshot.schemaVersion), savedAt: snapshot.savedAt });
+    transaction.del(this.legacyKey);
+    await transaction.exec();
+  }
+
+  /**
+   * Сохраняет только изменённые записи
+   * @param {Object} changes - { коллекция: { id: запись или null, если удалена } }
+   * @param {number} schemaVersion - Версия схемы данных
+   */
+  async saveRecords(changes, schemaVersion) {
+    const transaction = this.client.multi();
+    Object.entries(changes).forEach(([name, records]) => {
+      const key = this.recordsKey(name);
+      const removed = Object.keys(records).filter(id => records[id] === null);
+      const values = serializeRecords(records);
+      transaction.sAdd(this.collectionsKey, name);
+      if (removed.length > 0) transaction.hDel(key, removed);
+      if (Object.keys(values).length > 0) transaction.hSet(key, values);
+    });
+    transaction.hSet(this.metaKey, { schemaVersion: String(schemaVersion), savedAt: new Date().toISOString() });
+    await transaction.exec();
+  }
+
+  // Соединением владеет кластер, он его и закрывает
+  async close() {}
+}
+
+function serializeRecords(records) {
+  const values = {};
+  Object.entries(records).forEach(([id, record]) => {
+    if (record !== null) values[id] = JSON.stringify(record);
+  });
+  return values;
+}
+
+module.exports = { RedisAdapter };
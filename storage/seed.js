@@ -0,0 +1,82 @@
+const { v4: uuidv4 } = require('uuid');
+const bcrypt = require('bcryptjs');
+const { DEFAULT_PERMISSIONS } = require('../lib/permissions');
+const { DEFAULT_RETENTION } = require('../lib/retention');
+const { createModeration } = require('../lib/moderation');
+
+const DEMO_EMAIL = 'demo@watchparty.com';
+const DEMO_ROOM_NAME = '🎬 Демо комната для всех';
+
+/**
+ * Заполняет хранилище демо-данными, если их ещё нет.
+ * Повторный запуск ничего не меняет.
+ * @param {Storage} storage - Хранилище
+ * @returns {Promise<boolean>} true если данные были созданы
+ */
+async function seed(storage) {
+  const users = storage.collection('users');
+  const rooms = storage.collection('rooms');
+
+  if (users.find(u => u.email === DEMO_EMAIL)) {
+    return false;
+  }
+
+  console.log('🔧 Создание демо данных...');
+
+  // Создаем тестового пользователя
+  const testUserId = uuidv4();
+  users.set(testUserId, {
+    id: testUserId,
+    username: 'Демо Пользователь',
+    email: DEMO_EMAIL,
+    password: await bcrypt.hash('demo123', 10),
+    avatar: '/assets/default-avatar.png',
+    // Демо-адрес не настоящий, подтверждать его некому
+    emailVerified: true,
+    emailVerifiedAt: new Date().toISOString(),
+    oidc: null,
+    createdAt: new Date().toISOString(),
+    rooms: []
+  });
+
+  // Создаем демо комнату
+  const demoRoomId = uuidv4().substring(0, 8);
+  rooms.set(demoRoomId, {
+    id: demoRoomId,
+    name: DEMO_ROOM_NAME,
+    description: 'Открытая комната, чтобы попробовать совместный просмотр',
+    category: 'other',
+    tags: ['демо'],
+    host: 'Демо Пользователь',
+    hostId: testUserId,
+    videoUrl: '',
+    videoTitle: null,
+    schedule: null,
+    isPrivate: false,
+    passwordHash: null,
+    createdAt: new Date().toISOString(),
+    lastActivityAt: new Date().toISOString(),
+    permanent: true,
+    archived: false,
+    archivedAt: null,
+    accessVersion: 0,
+    invites: {},
+    participants: [],
+    messages: [],
+    isPlaying: false,
+    currentTime: 0,
+    lastUpdate: Date.now(),
+    screenSharer: null,
+    queue: [],
+    roles: {},
+    permissions: { ...DEFAULT_PERMISSIONS },
+    retention: { ...DEFAULT_RETENTION },
+    moderation: createModeration(),
+    auditLog: []
+  });
+
+  console.log('✅ Демо данные созданы');
+  return true;
+}
+
+module.exports = { seed, DEMO_EMAIL, DEMO_ROOM_NAME };